@@ -8,8 +8,51 @@
 'use strict';
 
 const url = require('url');
-const { get_attr, LogLevel, bcppattern } = require('./utils');
+const {
+    get_attr,
+    LogLevel,
+    bcppattern,
+    fetch_html,
+    resources_with_rel
+} = require('./utils');
 const { core_profile } = require('./profiles');
+const { find_toc_element, extract_reading_order } = require('./toc');
+
+
+/**
+ * Fetch the document containing the table of contents, i.e., the resource with the "contents" rel value. This document is
+ * used to derive a default reading order if the manifest does not have one; because the canonicalization itself is
+ * not asynchronous, this document must be fetched in advance.
+ *
+ * The manifest is not yet canonicalized at this point, ie, the resources may be strings, objects, or arrays thereof.
+ *
+ * @async
+ * @param {Object} manifest - the Manifest object (just parsed from JSON)
+ * @param {string} base - the base URL to be used
+ * @param {JSDOM}  document -  the DOM Document Note of the primary entry page, if any
+ * @param {Object} loader - the resource loader (see the `loaders` module); default is the loader using HTTP(S) and the local file system.
+ * @param {Object} logger - if defined, it is used for warnings on tolerated media types.
+ * @returns {Document} - the DOM Document node of the table of contents; undefined if there is no such document or if the
+ *  manifest has a reading order anyway.
+ * @throws {FetchFailed} if the document cannot be retrieved; the error is not logged, it is up to the caller to report it
+ */
+async function fetch_toc_document(manifest, base, document = undefined, loader = undefined, logger = undefined) {
+    if (manifest.readingOrder || !manifest.resources) {
+        return undefined;
+    }
+
+    const contents = resources_with_rel(manifest, 'contents')[0];
+    if (contents === undefined || contents.url === undefined) {
+        return undefined;
+    }
+
+    const toc_url = url.resolve(base, contents.url);
+    if (document !== undefined && url.resolve(document.URL, '#') === url.resolve(toc_url, '#')) {
+        return document;
+    }
+    const dom = await fetch_html(toc_url, loader, logger, base);
+    return dom.window.document;
+}
 
 
 /**
@@ -22,9 +65,11 @@ const { core_profile } = require('./profiles');
  * @param {string} lang - the default language
  * @param {string} dir - the default text direction
  * @param {Object} profile - structure categorizing the terms for a profile
+ * @param {Document} toc_document - the DOM Document node of the table of contents (see `fetch_toc_document`); if set, it is
+ * used to derive the default reading order
  * @returns {Object} - the canonical version of the manifest
  */
-function canonicalize(logger, manifest_orig, base, document = undefined, lang = null, dir = null, profile = core_profile) {
+function canonicalize(logger, manifest_orig, base, document = undefined, lang = null, dir = null, profile = core_profile, toc_document = undefined) {
     let manifest = {};
     let language = '';
     const properties_with_objects = [...profile.entity_values, ...profile.link_values];
@@ -49,7 +94,10 @@ function canonicalize(logger, manifest_orig, base, document = undefined, lang =
                 try {
                     manifest[prop] = manifest[prop].map(func);
                 } catch (err) {
-                    logger.assert(false, `${prop} may not have been categorized as array valued; profile error?`, LogLevel.error);
+                    logger.assert(false, `${prop} may not have been categorized as array valued; profile error?`, LogLevel.error, {
+                        code : 'profile-error',
+                        path : `/${prop}`
+                    });
                 }
             }
         });
@@ -106,6 +154,7 @@ function canonicalize(logger, manifest_orig, base, document = undefined, lang =
 
         // ---------------------------------------------------------------------
         // Step 2 and 3: test language and base direction, if applicable
+        const explicit_language = manifest.inLanguage !== undefined;
         if (lang && !manifest.inLanguage) manifest.inLanguage = lang;
         if (dir && !manifest.inDirection) manifest.inDirection = dir;
 
@@ -115,13 +164,46 @@ function canonicalize(logger, manifest_orig, base, document = undefined, lang =
             if (check_lang) {
                 language = manifest.inLanguage;
             } else {
-                logger.assert(false, `"${manifest.inLanguage}" is not a valid language tag`, LogLevel.warning);
+                logger.assert(false, `"${manifest.inLanguage}" is not a valid language tag`, LogLevel.warning, {
+                    code : 'invalid-language-tag',
+                    path : '/inLanguage'
+                });
                 manifest.inLanguage = undefined;
             }
         }
 
+        // The default language of the texts may also be set in the context, unless `inLanguage` is set explicitly;
+        // as in JSON-LD, the last `@language` value wins
+        if (!explicit_language && Array.isArray(manifest['@context'])) {
+            manifest['@context'].forEach((context, index) => {
+                if (context !== null && typeof context === 'object' && context['@language'] !== undefined) {
+                    const context_language = context['@language'];
+                    const message = `"${context_language}" is not a valid language tag`;
+                    const details = { code: 'invalid-language-tag', path: `/@context/${index}/@language` };
+                    if (context_language === null) {
+                        language = '';
+                    } else if (logger.assert(typeof context_language === 'string' && bcppattern.test(context_language), message, LogLevel.warning, details)) {
+                        language = context_language;
+                    }
+                }
+            });
+        }
+
         // ---------------------------------------------------------------------
         // Step 4: set default reading order
+        if (!manifest.readingOrder && toc_document !== undefined) {
+            // Use the links in the table of contents, if available; the fragment of the contents URL may identify the element
+            const contents = resources_with_rel(manifest, 'contents')[0];
+            const fragment = contents && typeof contents.url === 'string' ? url.parse(contents.url).hash : null;
+            const toc_element = find_toc_element(toc_document, fragment ? fragment.slice(1) : '');
+            const message = `No table of contents found in ${toc_document.URL} for the default reading order`;
+            if (logger.assert(toc_element !== null, message, LogLevel.warning, { code: 'toc-not-found' })) {
+                const reading_order = extract_reading_order(toc_element, toc_document.URL);
+                if (reading_order.length > 0) {
+                    manifest.readingOrder = reading_order.map((address) => ({ type: 'LinkedResource', url: address }));
+                }
+            }
+        }
         if (!manifest.readingOrder && document !== undefined) {
             manifest.readingOrder = { url: `${document.URL}` };
             manifest.readingOrder.type = 'LinkedResource';
@@ -208,15 +290,15 @@ function canonicalize(logger, manifest_orig, base, document = undefined, lang =
         // Step 10: perform the extension function, if any
         if (profile.profile_c14n) {
             try {
-                manifest = profile.profile_c14n(manifest, base, document, lang, dir);
+                manifest = profile.profile_c14n(manifest, base, document, lang, dir, logger);
             } catch (err) {
-                logger.assert(false, `Exception raised in profile-specific canonicalization: "${err}"`, LogLevel.warning);
+                logger.assert(false, `Exception raised in profile-specific canonicalization: "${err}"`, LogLevel.warning, { code: 'profile-exception' });
             }
         }
 
         return manifest;
     } catch (err) {
-        logger.assert(false, err.message, LogLevel.error);
+        logger.assert(false, err.message, LogLevel.error, { code: 'processing-error' });
         console.log(err);
     }
 }
@@ -224,4 +306,4 @@ function canonicalize(logger, manifest_orig, base, document = undefined, lang =
 
 /* =================================================================================== */
 
-module.exports = { canonicalize };
+module.exports = { canonicalize, fetch_toc_document };
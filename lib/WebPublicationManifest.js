@@ -8,14 +8,32 @@
 'use strict';
 
 const {parse, end, toSeconds, pattern} = require('iso8601-duration');
+const url = require('url');
 const {
     check_url,
     condClone,
     bcppattern,
-    LogLevel
+    LogLevel,
+    fetch_html,
+    resources_with_rel
 } = require('./utils');
+const { find_toc_element, extract_toc } = require('./toc');
+const { core_profile } = require('./profiles');
 
 
+/**
+ * Helper function for the JSON version of the objects below: a copy of the object without the really private attributes, ie,
+ * those starting with two underscore characters (the logger, the documents, the profile, etc.).
+ *
+ * @param {Object} obj - the object to copy
+ * @returns {Object}
+ */
+function without_private_attributes(obj) {
+    return Object.keys(obj)
+        .filter((key) => !key.startsWith('__'))
+        .reduce((copy, key) => Object.assign(copy, { [key]: obj[key] }), {});
+}
+
 /* -------------------------------------- */
 /**
  * Class representing a Localizable String. The interface is based on the following WebIDL:
@@ -36,7 +54,7 @@ class LocalizableString {
      * @param {Object} obj - an object with '@value' and '@language'. Corresponds to the JSON-LD.
      */
     constructor(logger, obj) {
-        if (logger.assert(obj.value !== undefined, 'String without value', LogLevel.error)) {
+        if (logger.assert(obj.value !== undefined, 'String without value', LogLevel.error, { code: 'missing-string-value' })) {
             this._value = obj.value;
         } else {
             this._value = undefined;
@@ -44,7 +62,8 @@ class LocalizableString {
         }
         this._language = obj.language;
         if (this._language) {
-            if (!logger.assert(bcppattern.test(this._language), `"${this._language}" is not a valid language tag`, LogLevel.warning)) {
+            const message = `"${this._language}" is not a valid language tag`;
+            if (!logger.assert(bcppattern.test(this._language), message, LogLevel.warning, { code: 'invalid-language-tag' })) {
                 this._language = undefined;
             }
         }
@@ -66,7 +85,7 @@ class LocalizableString {
      * @returns {LocalizableString[]} value may be [] if no value is legitimate (ie, "value" is missing.
      */
     static initArray(logger, values) {
-        return values.map((name) => new LocalizableString(logger, name)).filter((name) => name.__invalid !== true);
+        return values.map((name, index) => logger.with_path(index, () => new LocalizableString(logger, name))).filter((name) => name.__invalid !== true);
     }
 }
 
@@ -94,8 +113,8 @@ class Contributor {
      * @param {boolean} person_only - whether only a Person should be accepted in this position
      */
     constructor(logger, obj, person_only = false) {
-        if (logger.assert(obj.name !== undefined, 'Invalid contributor: no name provided.', LogLevel.error)) {
-            this._name = LocalizableString.initArray(logger, obj.name);
+        if (logger.assert(obj.name !== undefined, 'Invalid contributor: no name provided.', LogLevel.error, { code: 'missing-contributor-name' })) {
+            this._name = logger.with_path('name', () => LocalizableString.initArray(logger, obj.name));
         } else {
             this._name = undefined;
             this.__invalid = true;
@@ -108,10 +127,11 @@ class Contributor {
                 const is_person = this._type.includes('Person');
                 const is_organization = this._type.includes('Organization');
                 if (!is_organization && !is_person) {
-                    logger.assert(false, `Contributor must be an "Organization" or a "Person" (${this._name[0].value})`, LogLevel.error);
+                    const message = `Contributor must be an "Organization" or a "Person" (${this._name[0].value})`;
+                    logger.assert(false, message, LogLevel.error, { code: 'invalid-contributor-type' });
                     this.__invalid = true;
                 } else if (person_only && !is_person) {
-                    logger.assert(false, `Only a "Person" is acceptable in this position (${this._name[0].value})`, LogLevel.error);
+                    logger.assert(false, `Only a "Person" is acceptable in this position (${this._name[0].value})`, LogLevel.error, { code: 'person-only' });
                     this.__invalid = true;
                 }
             } else {
@@ -121,7 +141,7 @@ class Contributor {
         this._id = obj.id || undefined;
         if (obj.url) {
             this._url = obj.url;
-            check_url(this._url, logger);
+            logger.with_path('url', () => check_url(this._url, logger));
         } else {
             this._url = undefined;
         }
@@ -149,7 +169,8 @@ class Contributor {
      * @returns {Contributor[]}  value is an empty array if none of the values are legitimate.
      */
     static initArray(logger, objs, person_only = false) {
-        return objs.map((obj) => new Contributor(logger, obj, person_only)).filter((contributor) => contributor.__invalid !== true);
+        return objs.map((obj, index) => logger.with_path(index, () => new Contributor(logger, obj, person_only)))
+            .filter((contributor) => contributor.__invalid !== true);
     }
 }
 
@@ -216,24 +237,31 @@ class LinkedResource {
      * @param {boolean} m_separate - whether the manifest is a separate file or is embedded.
      */
     constructor(logger, obj, base, m_separate) {
-        if (logger.assert(obj.url !== undefined, 'Invalid publication link: no URL provided.', LogLevel.error)) {
+        // The location of the resource in the manifest, used for the diagnostics issued later
+        this.__path = logger.path;
+        if (logger.assert(obj.url !== undefined, 'Invalid publication link: no URL provided.', LogLevel.error, { code: 'missing-link-url' })) {
             this._url = obj.url;
-            check_url(this._url, logger);
+            logger.with_path('url', () => check_url(this._url, logger, base));
         } else {
             this._url = undefined;
             this.__invalid = true;
         }
 
         this._encodingFormat = obj.encodingFormat || undefined;
-        this._name = (obj.name) ? LocalizableString.initArray(logger, obj.name) : undefined;
-        this._description = (obj.description) ? new LocalizableString(logger, obj.description) : undefined;
+        this._name = (obj.name) ? logger.with_path('name', () => LocalizableString.initArray(logger, obj.name)) : undefined;
+        this._description = (obj.description) ? logger.with_path('description', () => new LocalizableString(logger, obj.description)) : undefined;
         this._rel = obj.rel || undefined;
         this._integrity = obj.integrity || undefined;
         // The fact of using a string interpolation ensures that if the input is a number, it is properly converted into string
-        this._length = `${obj.length}` || undefined;
+        this._length = obj.length !== undefined ? `${obj.length}` : undefined;
 
         // Check the validity of the length value; a warning should be issued if it isn't correct
-        logger.assert(!Number.isNaN(Number.parseFloat(this._length)), `"${this._length}" is an invalid length value.`, LogLevel.warning);
+        if (this._length !== undefined) {
+            logger.with_path('length', () => {
+                const message = `"${this._length}" is an invalid length value.`;
+                logger.assert(!Number.isNaN(Number.parseFloat(this._length)), message, LogLevel.warning, { code: 'invalid-length' });
+            });
+        }
 
         // Copy the rest of the information into "this"; these properties
         // are not defined by the WebIDL, though, but one would think
@@ -244,7 +272,7 @@ class LinkedResource {
         // The draft says that the Manifest URL must not appear as such link. This should be checked
         // when the manifest is a separate file...
         if (m_separate) {
-            if (!logger.assert(this._url !== base, 'Manifest URL must not be part of a link', LogLevel.error)) {
+            if (!logger.assert(this._url !== base, 'Manifest URL must not be part of a link', LogLevel.error, { code: 'manifest-url-in-link' })) {
                 this.__invalid = true;
             }
         }
@@ -273,8 +301,14 @@ class LinkedResource {
      * @returns {LinkedResource[]}  value is "undefined" if none of the values are legitimate.
      */
     static initArray(logger, values, base, m_separate) {
-        return values.map((name) => new LinkedResource(logger, name, base, m_separate)).filter((link) => link.__invalid !== true);
+        return values.map((name, index) => logger.with_path(index, () => new LinkedResource(logger, name, base, m_separate)))
+            .filter((link) => link.__invalid !== true);
     }
+
+    /**
+     * @returns {Object} the JSON version of the link, without the location used for the diagnostics
+     */
+    toJSON() { return without_private_attributes(this); }
 }
 
 /* -------------------------------------- */
@@ -295,11 +329,20 @@ class WebPublicationManifest {
      * @param {Object} logger - logger for errors and warnings.
      * @param {string} base - base URL to be used for relative URL-s.
      * @param {boolean} m_separate - whether the manifest originates from a separate file or is embedded.
+     * @param {Document} document - the DOM Document node of the primary entry page, if any.
+     * @param {Object} profile - the profile used for the canonicalization of the manifest.
      */
-    constructor(logger, base, m_separate) {
+    constructor(logger, base, m_separate, document = undefined, profile = core_profile) {
         this.__logger = logger;
         this.__base = base;
         this.__m_separate = m_separate;
+        this.__document = document;
+        this.__profile = profile;
+        this.__toc_document = undefined;
+        this.__toc_loaded = false;
+        this.__cover = undefined;
+        this.__accessibilityReport = undefined;
+        this.__privacyPolicy = undefined;
         // These statements are necessary to
         // make the invocation of
         // setters generic
@@ -342,9 +385,69 @@ class WebPublicationManifest {
         this.__privacyPolicy_searched = false;
         this.__cover_searched = false;
         this.__toc_searched = false;
+
+        // The terms added by the profile (e.g., "painter") get their attributes, too
+        this.__add_profile_terms(profile);
     }
 
+    /**
+     * @returns {Object} the JSON version of the manifest, without the logger, the documents, the profile, etc.
+     */
+    toJSON() { return without_private_attributes(this); }
+
     // -------------------------------------------------------------------------
+    /**
+     * Helper function: add an attribute for each term that is defined by the profile but not by the core profile. The setter
+     * converts the (canonical) value, depending on the category of the term: entities become an array of Contributor objects,
+     * links become an array of LinkedResource objects, and texts become (an array of) LocalizableString objects; URL-s are
+     * checked. The values of other terms are used verbatim.
+     * @param {Object} profile: structure categorizing the terms for a profile
+     */
+    __add_profile_terms(profile) {
+        const logger = this.__logger;
+        const core_terms = [
+            ...core_profile.array_values,
+            ...core_profile.entity_values,
+            ...core_profile.link_values,
+            ...core_profile.local_string_values,
+            ...core_profile.url_values
+        ];
+        const check_urls = (value) => {
+            (Array.isArray(value) ? value : [value]).forEach((url_value) => check_url(url_value, logger, this.__base));
+            return value;
+        };
+        // The canonical values of entities and links are arrays; this may not be the case if the profile is erroneous (e.g., the
+        // term is not declared as an array term), but the problem has then been reported by the canonicalization step already
+        const as_array = (value) => (Array.isArray(value) ? value : [value]);
+        const to_strings = (value) => {
+            if (Array.isArray(value)) {
+                return LocalizableString.initArray(logger, value);
+            }
+            const text = new LocalizableString(logger, value);
+            return text.__invalid === true ? undefined : text;
+        };
+
+        // The order is important: the first matching category is used (e.g., an entity term is also listed as an array term)
+        const conversions = [
+            [profile.entity_values, (value) => Contributor.initArray(logger, as_array(value))],
+            [profile.link_values, (value) => LinkedResource.initArray(logger, as_array(value), this.__base, this.__m_separate)],
+            [profile.local_string_values, to_strings],
+            [profile.url_values, check_urls],
+            [profile.array_values, (value) => value]
+        ];
+        conversions.forEach(([terms, convert]) => {
+            terms.filter((term) => !core_terms.includes(term) && !(`_${term}` in this)).forEach((term) => {
+                this[`_${term}`] = undefined;
+                Object.defineProperty(this, term, {
+                    configurable : true,
+                    enumerable   : false,
+                    get          : () => this[`_${term}`],
+                    set          : (value) => { this[`_${term}`] = convert(value); }
+                });
+            });
+        });
+    }
+
     /**
      * Helper function: check whether an accessibility term is valid or not, and produces
      * an array of valid items (or undefined if no valid items are found)
@@ -354,10 +457,109 @@ class WebPublicationManifest {
      * @returns {Array}: array of strings or undefined
      */
     __a11yterms(term, allowed_terms, a_mode) {
-        const check = (item) => this.__logger.assert(allowed_terms.includes(item), `"${item}" may not be a valid term for ${term}`, LogLevel.warning);
+        const check = (item) => {
+            const message = `"${item}" may not be a valid term for ${term}`;
+            return this.__logger.assert(allowed_terms.includes(item), message, LogLevel.warning, { code: 'invalid-a11y-term' });
+        };
         return a_mode.map((item) => (check(item) ? item : null)).filter((item) => item !== null);
     }
 
+    /**
+     * Helper function: find the link with a specific `rel` value that may appear at most once in the
+     * links and the resources, and whose target must be an HTML or a PDF document.
+     * @param {string} rel_value: the (short) rel value to look for
+     * @param {string} term: the name of the attribute (used in the error messages)
+     * @returns {LinkedResource}: the resource, or undefined if none has been found or the resource is invalid
+     */
+    __unique_document_link(rel_value, term) {
+        const document_formats = ['text/html', 'application/xhtml+xml', 'application/pdf'];
+        const candidates = resources_with_rel(this, rel_value);
+        if (candidates.length === 0) {
+            return undefined;
+        }
+        this.__logger.assert(candidates.length === 1, `${term} must not be defined more than once; "${candidates[0].url}" is used`, LogLevel.error, {
+            code : 'duplicate-link',
+            path : candidates[1] && candidates[1].__path
+        });
+
+        const format = candidates[0].encodingFormat;
+        if (format !== undefined) {
+            const message = `"${format}" is not an HTML or PDF media type for ${term} (${candidates[0].url})`;
+            if (!this.__logger.assert(document_formats.includes(format), message, LogLevel.error, {
+                code : 'invalid-media-type',
+                path : candidates[0].__path
+            })) {
+                return undefined;
+            }
+        }
+        return candidates[0];
+    }
+
+    /**
+     * Helper function: find the resource with the table of contents, if any.
+     * @returns {LinkedResource}: the resource, or undefined
+     */
+    __toc_resource() {
+        return resources_with_rel(this, 'contents')[0];
+    }
+
+    /**
+     * Helper function: the URL of the document containing the table of contents, i.e., without a fragment id.
+     * @param {LinkedResource} resource: the resource with the table of contents
+     * @returns {string}
+     */
+    static __document_url(resource) {
+        const parsed = url.parse(resource.url);
+        parsed.hash = null;
+        return url.format(parsed);
+    }
+
+    // -------------------------------------------------------------------------
+    /**
+     * Load, if necessary, the external document containing the table of contents. This is necessary
+     * if the table of contents is not in the primary entry page; because the `toc` attribute
+     * cannot be asynchronous, this method must be invoked (and awaited) before the `toc` attribute
+     * is used.
+     *
+     * @async
+     * @param {Object} loader - the resource loader (see the `loaders` module); default is the loader using HTTP(S) and the local file system.
+     * @param {(Document|FetchFailed)} prefetched - the outcome of an earlier fetch of the document (e.g., to derive the default reading
+     * order), if any: the DOM Document node, or the error raised by the fetch. The document is not fetched again.
+     */
+    async load_toc(loader = undefined, prefetched = undefined) {
+        const resource = this.__toc_resource();
+        if (resource) {
+            const toc_url = WebPublicationManifest.__document_url(resource);
+            if (this.__document === undefined || toc_url !== WebPublicationManifest.__document_url({ url: this.__document.URL })) {
+                try {
+                    if (prefetched instanceof Error) {
+                        throw prefetched;
+                    }
+                    this.__toc_document = prefetched || (await fetch_html(toc_url, loader, this.__logger, this.__base)).window.document;
+                } catch (err) {
+                    this.__logger.assert(false, `Table of contents: ${err.message}`, LogLevel.warning, { code: err.code, path: resource.__path });
+                }
+            }
+        }
+        this.__toc_loaded = true;
+    }
+
+    /**
+     * Check the attributes derived from the other ones (the table of contents, the cover, the accessibility report, and the
+     * privacy policy). These attributes are checked when they are first used; this method makes sure that the related
+     * diagnostics are logged, e.g., before deciding on the verdict. The table of contents must have been loaded (see `load_toc`).
+     *
+     * @returns {Object} the values of the derived attributes
+     */
+    check_derived_attributes() {
+        return {
+            toc                 : this.toc,
+            cover               : this.cover,
+            accessibilityReport : this.accessibilityReport,
+            privacyPolicy       : this.privacyPolicy
+        };
+    }
+
     // -------------------------------------------------------------------------
     // The external interface of setter and getter functions...
     // -------------------------------------------------------------------------
@@ -369,7 +571,7 @@ class WebPublicationManifest {
      */
     set url(url_value) {
         this._url = url_value;
-        check_url(this._url, this.__logger);
+        check_url(this._url, this.__logger, this.__base);
     }
 
     /**
@@ -382,10 +584,14 @@ class WebPublicationManifest {
 
     // ****************************
     /**
-     * Type of the publication.
-     * @param {string} type
+     * Type of the publication. Values that are not strings are ignored.
+     * @param {string[]} types
      */
-    set type(type) { this._type = type; }
+    set type(types) {
+        this._type = types.filter((type, index) => this.__logger.with_path(index, () => (
+            this.__logger.assert(typeof type === 'string', `"${type}" is not a valid publication type`, LogLevel.warning, { code: 'invalid-type' })
+        )));
+    }
 
     /**
      *
@@ -832,7 +1038,7 @@ class WebPublicationManifest {
      */
     set inLanguage(value) {
         if (value === undefined) return;
-        if (this.__logger.assert(bcppattern.test(value), `"${value}" is not a valid language tag`, LogLevel.warning)) {
+        if (this.__logger.assert(bcppattern.test(value), `"${value}" is not a valid language tag`, LogLevel.warning, { code: 'invalid-language-tag' })) {
             this._inLanguage = value;
         }
     }
@@ -864,7 +1070,7 @@ class WebPublicationManifest {
                 this._inDirection = TextDirection.auto;
                 break;
             default:
-                this.__logger.assert(false, `"${value}" is not a valid text direction tag`, LogLevel.warning);
+                this.__logger.assert(false, `"${value}" is not a valid text direction tag`, LogLevel.warning, { code: 'invalid-direction' });
         }
     }
 
@@ -894,7 +1100,7 @@ class WebPublicationManifest {
             }
         };
 
-        if (this.__logger.assert(check_duration(duration), `"${duration}" is an invalid ISO Duration value.`, LogLevel.warning)) {
+        if (this.__logger.assert(check_duration(duration), `"${duration}" is an invalid ISO Duration value.`, LogLevel.warning, { code: 'invalid-duration' })) {
             this._duration = duration;
         }
     }
@@ -916,7 +1122,8 @@ class WebPublicationManifest {
      * @param {string} date
      */
     set dateModified(date) {
-        if (this.__logger.assert(!isNaN(Date.parse(date)), `"${date}" is an invalid Date or DateTime string for the modification date.`, LogLevel.warning)) {
+        const message = `"${date}" is an invalid Date or DateTime string for the modification date.`;
+        if (this.__logger.assert(!isNaN(Date.parse(date)), message, LogLevel.warning, { code: 'invalid-date' })) {
             this._dateModified = date;
         }
     }
@@ -937,7 +1144,8 @@ class WebPublicationManifest {
      * @param {string} date
      */
     set datePublished(date) {
-        if (this.__logger.assert(!isNaN(Date.parse(date)), `"${date}" is an invalid Date or DateTime string for the publication date.`, LogLevel.warning)) {
+        const message = `"${date}" is an invalid Date or DateTime string for the publication date.`;
+        if (this.__logger.assert(!isNaN(Date.parse(date)), message, LogLevel.warning, { code: 'invalid-date' })) {
             this._datePublished = date;
         }
     }
@@ -959,14 +1167,14 @@ class WebPublicationManifest {
      */
     set readingProgression(value) {
         switch (value) {
-            case 'rtr':
-                this._readingProgression = ProgressionDirection.rtr;
+            case 'rtl':
+                this._readingProgression = ProgressionDirection.rtl;
                 break;
             case 'ltr':
                 this._readingProgression = ProgressionDirection.ltr;
                 break;
             default:
-                this.__logger(false, `"${value}" is not a valid reading progression`);
+                this.__logger.assert(false, `"${value}" is not a valid reading progression`, LogLevel.warning, { code: 'invalid-reading-progression' });
         }
     }
 
@@ -1055,6 +1263,115 @@ class WebPublicationManifest {
     get name() {
         return this._name;
     }
+
+    // ****************************
+    /**
+     * Accessibility report of the publication. The value is the link, in the links or in the resources, with the "accessibility-report"
+     * rel value.
+     *
+     * <code>LinkedResource accessibilityReport;</code>
+     *
+     * @returns {LinkedResource}
+     */
+    get accessibilityReport() {
+        if (this.__accessibilityReport_searched === false) {
+            this.__accessibilityReport_searched = true;
+            this.__accessibilityReport = this.__unique_document_link('accessibility-report', 'Accessibility report');
+        }
+        return this.__accessibilityReport;
+    }
+
+    // ****************************
+    /**
+     * Privacy policy of the publication. The value is the link, in the links or in the resources, with the "privacy-policy"
+     * rel value.
+     *
+     * <code>LinkedResource privacyPolicy;</code>
+     *
+     * @returns {LinkedResource}
+     */
+    get privacyPolicy() {
+        if (this.__privacyPolicy_searched === false) {
+            this.__privacyPolicy_searched = true;
+            this.__privacyPolicy = this.__unique_document_link('privacy-policy', 'Privacy policy');
+        }
+        return this.__privacyPolicy;
+    }
+
+    // ****************************
+    /**
+     * Cover of the publication. The value is the resource, in the resources or in the reading order, with the "cover" rel value.
+     * If there are several such resources, the first one is used (and a warning is issued).
+     *
+     * <code>LinkedResource cover;</code>
+     *
+     * @returns {LinkedResource}
+     */
+    get cover() {
+        if (this.__cover_searched === false) {
+            this.__cover_searched = true;
+            const covers = resources_with_rel(this, 'cover');
+            if (covers.length > 0) {
+                this.__logger.assert(covers.length === 1, `More than one cover has been defined; "${covers[0].url}" is used`, LogLevel.warning, {
+                    code : 'multiple-covers',
+                    path : covers[covers.length - 1].__path
+                });
+                this.__cover = covers[0];
+
+                // A cover is expected to be an image or an HTML page
+                const format = this.__cover.encodingFormat;
+                if (format !== undefined) {
+                    const acceptable = format.startsWith('image/') || ['text/html', 'application/xhtml+xml'].includes(format);
+                    this.__logger.assert(acceptable, `"${format}" is not an image or HTML media type for the cover (${this.__cover.url})`, LogLevel.warning, {
+                        code : 'invalid-media-type',
+                        path : this.__cover.__path
+                    });
+                }
+            }
+        }
+        return this.__cover;
+    }
+
+    // ****************************
+    /**
+     * Table of contents of the publication. The value is extracted, when first used, from the resource with the "contents" rel value.
+     * That resource may be the primary entry page itself, or a separate HTML document (which must have been loaded through `load_toc`).
+     *
+     * <code>TocEntry toc;</code>
+     *
+     * @returns {TocEntry}
+     */
+    get toc() {
+        if (this.__toc_searched === false) {
+            this.__toc_searched = true;
+            const resource = this.__toc_resource();
+            if (resource) {
+                const toc_url = WebPublicationManifest.__document_url(resource);
+                let document;
+                if (this.__document !== undefined && toc_url === WebPublicationManifest.__document_url({ url: this.__document.URL })) {
+                    document = this.__document;
+                } else {
+                    document = this.__toc_document;
+                }
+
+                if (document === undefined) {
+                    // If the document could not be retrieved, `load_toc` has already reported the problem
+                    const message = `Table of contents document (${toc_url}) has not been loaded`;
+                    this.__logger.assert(this.__toc_loaded, message, LogLevel.warning, { code: 'toc-unavailable', path: resource.__path });
+                } else {
+                    const fragment = url.parse(resource.url).hash;
+                    const toc_element = find_toc_element(document, fragment ? fragment.slice(1) : '');
+                    if (this.__logger.assert(toc_element !== null, `No table of contents found in ${toc_url}`, LogLevel.warning, {
+                        code : 'toc-not-found',
+                        path : resource.__path
+                    })) {
+                        this._toc = extract_toc(this.__logger, toc_element, document.URL);
+                    }
+                }
+            }
+        }
+        return this._toc;
+    }
 }
 
 /* =================================================================================== */
@@ -0,0 +1,266 @@
+/**
+ * Batch processing of many publications, with an aggregated summary.
+ *
+ * The publications to process may be listed in a file (one URL or file name per line), or they may be the local entry pages
+ * matching a glob pattern or found in a directory tree. The publications are processed with a bounded concurrency; the result
+ * of each one (including its logger) is kept, and the results are summarized: verdict per publication, number of diagnostics per
+ * code, and the slowest fetches.
+ */
+
+'use strict';
+
+const path      = require('path');
+const fs        = require('fs');
+const glob      = require('glob');
+const { JSDOM } = require('jsdom');
+
+/** File name extensions of the entry pages searched for in a directory tree */
+const entry_page_extensions = ['.html', '.htm', '.xhtml'];
+
+
+/**
+ * Loader wrapper recording the time spent on each fetch.
+ */
+class TimingLoader {
+    /**
+     * @param {Object} loader - the loader doing the real work
+     */
+    constructor(loader) {
+        this._loader = loader;
+        this._timings = [];
+    }
+
+    /**
+     * The media types table of the underlying loader, if any.
+     */
+    get media_types() { return this._loader.media_types; }
+
+    /**
+     * @return {Object[]} the fetches made so far, each with a `url` and a `duration` (in milliseconds)
+     */
+    get timings() { return this._timings; }
+
+    /**
+     * @async
+     * @param {string} resource_url - the URL of the resource
+     * @param {string} content_type - the expected content type
+     * @return {Promise} encapsulating the body and the metadata of the resource
+     */
+    async load(resource_url, content_type) {
+        const start = Date.now();
+        try {
+            return await this._loader.load(resource_url, content_type);
+        } finally {
+            this._timings.push({ url: resource_url, duration: Date.now() - start });
+        }
+    }
+}
+
+
+/**
+ * Check whether a local HTML file is a primary entry page, ie, whether it has a `<link>` element referring to a (separate or
+ * embedded) manifest. Files that cannot be read or parsed are not entry pages.
+ *
+ * @param {string} file_name - the name of the HTML file
+ * @return {boolean}
+ */
+function is_entry_page(file_name) {
+    try {
+        const document = new JSDOM(fs.readFileSync(file_name, 'utf-8')).window.document;
+        return Array.from(document.querySelectorAll('link[rel][href]'))
+            .some((link) => link.getAttribute('rel').toLowerCase().split(/\s+/).includes('publication'));
+    } catch (err) {
+        return false;
+    }
+}
+
+
+/**
+ * Collect the inputs of a batch. The specification may be:
+ * - a glob pattern (e.g., "books/*.html"), matching local entry pages;
+ * - a directory: the HTML files in the directory tree that are primary entry pages (see `is_entry_page`) are used; the other
+ *   HTML files (e.g., the table of contents or the chapters of a publication) are skipped;
+ * - a list file: each non-empty line, except for those starting with '#', is a URL or a file name; relative file names are
+ *   relative to the directory of the list file.
+ *
+ * @param {string} spec - the specification of the inputs
+ * @return {string[]} list of URL-s and file names
+ * @throws {exception} if the specification does not refer to anything usable
+ */
+function collect_inputs(spec) {
+    if (glob.hasMagic(spec)) {
+        return glob.sync(spec, { nodir: true, absolute: true }).sort();
+    }
+
+    const stats = fs.statSync(spec);
+    if (stats.isDirectory()) {
+        const pattern = `**/*{${entry_page_extensions.join(',')}}`;
+        return glob.sync(pattern, { cwd: spec, nodir: true, absolute: true }).filter(is_entry_page).sort();
+    }
+
+    const directory = path.dirname(path.resolve(spec));
+    return fs.readFileSync(spec, 'utf-8')
+        .split('\n')
+        .map((line) => line.trim())
+        .filter((line) => line !== '' && line[0] !== '#')
+        .map((line) => (/^[a-zA-Z][a-zA-Z0-9+.-]+:/.test(line) ? line : path.resolve(directory, line)));
+}
+
+
+/**
+ * Process the inputs with a bounded concurrency.
+ *
+ * The processing function gets the input and a loader (recording the fetch times); it should return an object with at least
+ * the `passed` verdict and the `logger`, and it may also return the `source` URL and an `error` (if the processing failed). An
+ * exception raised by the processing function is recorded as a failure of the input, without a logger.
+ *
+ * @async
+ * @param {string[]} inputs - the inputs (URL-s or file names)
+ * @param {Function} process_one - async function `(input, loader) => result`
+ * @param {Object} loader - the resource loader used for all the inputs
+ * @param {number} concurrency - maximum number of inputs processed at the same time
+ * @return {Object[]} the results, in the order of the inputs; each with `input`, `source`, `passed`, `logger`, `error` (if any),
+ *  `duration` (in milliseconds), and `fetches` (see `TimingLoader`)
+ */
+async function run_batch(inputs, process_one, loader, concurrency = 4) {
+    const results = new Array(inputs.length);
+    let next = 0;
+
+    const worker = async () => {
+        while (next < inputs.length) {
+            const index = next;
+            next += 1;
+            const input = inputs[index];
+            const timing_loader = new TimingLoader(loader);
+            const start = Date.now();
+            let result;
+            try {
+                // The inputs are processed sequentially within a worker, that is the whole point...
+                // eslint-disable-next-line no-await-in-loop
+                const { passed, logger, source, error } = await process_one(input, timing_loader);
+                result = { passed, logger, source: source || input, error };
+            } catch (err) {
+                result = { passed: false, logger: undefined, source: input, error: err };
+            }
+            results[index] = Object.assign({ input, duration: Date.now() - start, fetches: timing_loader.timings }, result);
+        }
+    };
+
+    const workers = [];
+    for (let i = 0; i < Math.max(1, Math.min(concurrency, inputs.length)); i++) {
+        workers.push(worker());
+    }
+    await Promise.all(workers);
+    return results;
+}
+
+
+/**
+ * Summarize the results of a batch.
+ *
+ * @param {Object[]} results - the results, as returned by `run_batch`
+ * @param {number} slowest - the number of slowest fetches to be listed
+ * @return {Object} - the summary, with `total`, `passed`, `failed`, `codes` (mapping the diagnostic codes to the number of errors
+ *  and warnings), and `slowest_fetches` (each with a `url` and a `duration`).
+ */
+function summarize(results, slowest = 10) {
+    const codes = {};
+    results.forEach((result) => {
+        if (result.logger) {
+            const count = (diagnostic) => {
+                if (codes[diagnostic.code] === undefined) {
+                    codes[diagnostic.code] = { errors: 0, warnings: 0 };
+                }
+                codes[diagnostic.code][diagnostic.severity === 'error' ? 'errors' : 'warnings'] += 1;
+            };
+            result.logger.errors.forEach(count);
+            result.logger.warnings.forEach(count);
+        }
+    });
+
+    const passed = results.filter((result) => result.passed).length;
+    return {
+        total           : results.length,
+        passed,
+        failed          : results.length - passed,
+        codes,
+        slowest_fetches : results
+            .reduce((all, result) => [...all, ...result.fetches], [])
+            .sort((a, b) => b.duration - a.duration)
+            .slice(0, slowest)
+    };
+}
+
+
+/**
+ * Human readable version of the batch results.
+ *
+ * @param {Object[]} results - the results, as returned by `run_batch`
+ * @param {boolean} verbose - whether the diagnostics of each publication should be included
+ * @return {string}
+ */
+function batch_report_text(results, verbose = false) {
+    const summary = summarize(results);
+    const lines = [`---- Batch summary: ${summary.total} publication(s), ${summary.passed} passed, ${summary.failed} failed ----`];
+
+    results.forEach((result) => {
+        const counts = result.logger ? `${result.logger.errors.length} error(s), ${result.logger.warnings.length} warning(s)` : 'no diagnostics';
+        const failure = result.error && !(result.logger && result.logger.errors.length > 0) ? `; ${result.error.message}` : '';
+        lines.push(`${result.passed ? 'PASS' : 'FAIL'}  ${result.source} (${counts}, ${result.duration}ms${failure})`);
+        if (verbose && result.logger) {
+            lines.push(result.logger.toString().replace(/^/gm, '        '));
+        }
+    });
+
+    lines.push('---- Diagnostics by code ----');
+    const codes = Object.keys(summary.codes).sort();
+    if (codes.length === 0) {
+        lines.push('    none');
+    }
+    codes.forEach((code) => {
+        lines.push(`    ${code}: ${summary.codes[code].errors} error(s), ${summary.codes[code].warnings} warning(s)`);
+    });
+
+    lines.push('---- Slowest fetches ----');
+    if (summary.slowest_fetches.length === 0) {
+        lines.push('    none');
+    }
+    summary.slowest_fetches.forEach((fetch) => {
+        lines.push(`    ${`${fetch.duration}`.padStart(6)}ms  ${fetch.url}`);
+    });
+    return lines.join('\n');
+}
+
+
+/**
+ * JSON version of the batch results: the summary and, for each publication, the verdict and the diagnostics.
+ *
+ * @param {Object[]} results - the results, as returned by `run_batch`
+ * @return {string}
+ */
+function batch_report_json(results) {
+    return JSON.stringify({
+        summary      : summarize(results),
+        publications : results.map((result) => ({
+            input       : result.input,
+            source      : result.source,
+            passed      : result.passed,
+            duration    : result.duration,
+            error       : result.error ? result.error.message : undefined,
+            diagnostics : result.logger ? [...result.logger.errors, ...result.logger.warnings].map((diagnostic) => Object.assign({}, diagnostic)) : []
+        }))
+    }, null, 4);
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    TimingLoader,
+    is_entry_page,
+    collect_inputs,
+    run_batch,
+    summarize,
+    batch_report_text,
+    batch_report_json
+};
@@ -0,0 +1,121 @@
+/**
+ * Error classes raised when the manifest cannot be obtained or processed. Each error has a `code`, ie, a stable
+ * identifier of the problem that is also used for the corresponding diagnostic in the logger.
+ *
+ * The class hierarchy makes it possible to distinguish the main failure categories:
+ * - ManifestNotFound (and its subclasses ManifestLinkNotFound and EmbeddedManifestMissing): there is no manifest to process;
+ * - FetchFailed: a resource (e.g., the primary entry page or a separate manifest file) could not be retrieved;
+ * - ManifestParseError: there is a manifest, but it is broken, ie, it is not valid JSON;
+ * - InvalidProfile: a declarative profile (see the `profile_files` module) cannot be used.
+ */
+
+'use strict';
+
+
+/**
+ * Common superclass of all errors.
+ */
+class ManifestError extends Error {
+    /**
+     * @param {string} message - human readable message.
+     * @param {string} code - stable identifier of the problem.
+     */
+    constructor(message, code) {
+        super(message);
+        this.name = this.constructor.name;
+        this.code = code;
+    }
+}
+
+
+/**
+ * There is no manifest for the publication.
+ */
+class ManifestNotFound extends ManifestError {}
+
+
+/**
+ * The primary entry page does not link to a manifest.
+ */
+class ManifestLinkNotFound extends ManifestNotFound {
+    /**
+     * @param {string} document_url - the URL of the primary entry page.
+     */
+    constructor(document_url) {
+        super(`No manifest reference found in ${document_url}`, 'manifest-link-not-found');
+        this.url = document_url;
+    }
+}
+
+
+/**
+ * The primary entry page refers to an embedded manifest, but there is no such `<script>` element.
+ */
+class EmbeddedManifestMissing extends ManifestNotFound {
+    /**
+     * @param {string} manifest_url - the URL of the manifest, ie, the URL of the primary entry page with the fragment identifier.
+     */
+    constructor(manifest_url) {
+        super(`Manifest at ${manifest_url} not found`, 'embedded-manifest-missing');
+        this.url = manifest_url;
+    }
+}
+
+
+/**
+ * A resource could not be retrieved. The code identifies the reason (e.g., "fetch-timeout").
+ */
+class FetchFailed extends ManifestError {
+    /**
+     * @param {string} message - human readable message.
+     * @param {string} code - stable identifier of the problem; default is "fetch-failed".
+     * @param {string} resource_url - the URL of the resource, if known.
+     */
+    constructor(message, code = 'fetch-failed', resource_url = undefined) {
+        super(message, code);
+        this.url = resource_url;
+    }
+}
+
+
+/**
+ * The manifest text is not valid JSON.
+ */
+class ManifestParseError extends ManifestError {
+    /**
+     * @param {string} message - human readable message (typically from the JSON parser).
+     * @param {Object} position - `line` and `column` of the error in the source, if known.
+     */
+    constructor(message, position = undefined) {
+        super(`(JSON parsing error) ${message}`, 'json-syntax-error');
+        this.position = position;
+    }
+}
+
+
+/**
+ * A declarative profile file is invalid (it cannot be read or parsed, or its content is wrong).
+ */
+class InvalidProfile extends ManifestError {
+    /**
+     * @param {string} message - human readable message.
+     * @param {string} file - the name of the profile file.
+     */
+    constructor(message, file) {
+        super(`${message} (profile ${file})`, 'invalid-profile');
+        this.file = file;
+    }
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    ManifestError,
+    ManifestNotFound,
+    ManifestLinkNotFound,
+    EmbeddedManifestMissing,
+    FetchFailed,
+    ManifestParseError,
+    InvalidProfile
+};
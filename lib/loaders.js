@@ -0,0 +1,419 @@
+/**
+ * Resource loaders. All the resources (primary entry page, manifest, table of contents, etc.) are retrieved through a loader,
+ * which makes it possible to replace the network access by, e.g., a local cache, an archive, or a set of fixtures for testing.
+ *
+ * A loader is an object with an asynchronous `load` method:
+ *
+ * <pre><code>
+ * async load(resource_url: string, content_type: string) => {
+ *     body         : string,   // the content of the resource
+ *     url          : string,   // the final URL of the resource (e.g., after HTTP redirections)
+ *     content_type : string,   // the media type of the resource, if known (undefined otherwise)
+ *     headers      : Object,   // response headers (lower case header names mapped to values), if any
+ *     status       : number    // HTTP status code, if relevant
+ * }
+ * </code></pre>
+ *
+ * The `content_type` argument is the content type (or the list of content types, as used in an HTTP Accept header) expected
+ * by the caller; the check of the returned content type is done by the caller, though, using the `media_types` table. The `load`
+ * method must reject the returned promise if the resource cannot be retrieved, preferably with a `FetchFailed` error (see the `errors` module).
+ */
+
+'use strict';
+
+const fetch  = require('node-fetch');
+const url    = require('url');
+const path   = require('path');
+const fs     = require('fs');
+const crypto = require('crypto');
+const contentType = require('content-type');
+const { FetchFailed } = require('./errors');
+
+
+/**
+ * Acceptable media types for each kind of resource. The `accepted` media types are used without further ado; the `tolerated`
+ * ones are used, too, but with a warning (e.g., a JSON manifest served as plain text). Any other media type is an error.
+ * In the case of JSON, all `application/XXX+json` media types are also accepted.
+ *
+ * The table may be modified by the user, or a different table may be set as the `media_types` attribute of a loader.
+ */
+const media_types = {
+    html: {
+        accepted  : ['text/html', 'application/xhtml+xml'],
+        tolerated : []
+    },
+    json: {
+        accepted  : ['application/json', 'application/ld+json', 'application/manifest+json'],
+        tolerated : ['text/plain', 'application/octet-stream']
+    }
+};
+
+
+/**
+ * Default limits used by the loaders.
+ */
+const default_limits = {
+    /** Timeout for a response, in milliseconds */
+    timeout       : 10000,
+    /** Maximum size of a response body, in bytes */
+    max_size      : 10 * 1024 * 1024,
+    /** Maximum number of redirects followed */
+    max_redirects : 5
+};
+
+
+/**
+ * Decode the body of a response, using the charset set in the content type; the default is UTF-8. A byte order mark
+ * is removed.
+ *
+ * @param {(ArrayBuffer|Buffer)} buffer - the raw body of the response
+ * @param {string} content_type - the value of the Content-Type header, if any
+ * @param {string} resource_url - the URL of the resource (used in the error message)
+ * @return {string}
+ * @throws {FetchFailed} if the charset is unknown
+ */
+function decode_body(buffer, content_type, resource_url) {
+    let charset = 'utf-8';
+    if (content_type) {
+        try {
+            charset = contentType.parse(content_type).parameters.charset || charset;
+        } catch (err) {
+            // An invalid content type is reported by the caller; the default charset is used
+        }
+    }
+    let decoder;
+    try {
+        decoder = new TextDecoder(charset);
+    } catch (err) {
+        throw new FetchFailed(`${resource_url}: unsupported charset "${charset}"`, 'fetch-unsupported-charset', resource_url);
+    }
+    return decoder.decode(buffer);
+}
+
+
+/**
+ * Loader using HTTP(S).
+ */
+class HttpLoader {
+    /**
+     * The possible options are:
+     * - `headers`: additional HTTP request headers (e.g., for authentication);
+     * - `timeout`, `max_size`, `max_redirects`: limits for the requests (see `default_limits` for the default values).
+     *
+     * @param {Object} options - options of the loader
+     */
+    constructor(options = {}) {
+        this._headers = options.headers || {};
+        this._limits = {};
+        Object.keys(default_limits).forEach((key) => {
+            this._limits[key] = options[key] !== undefined ? options[key] : default_limits[key];
+        });
+    }
+
+    /**
+     * Fetch the resource. A "304 Not Modified" response (i.e., the result of a conditional request) is returned
+     * with an empty body; it is up to the caller to use its own copy.
+     *
+     * @async
+     * @param {string} resource_url - the URL of the resource
+     * @param {string} content_type - the expected content type (used for the HTTP Accept header)
+     * @param {Object} request_headers - additional HTTP request headers for this request only (e.g., `If-None-Match`)
+     * @return {Promise} encapsulating the body and the metadata of the resource
+     */
+    async load(resource_url, content_type, request_headers = {}) {
+        const { timeout, max_size, max_redirects } = this._limits;
+        const fetch_error = (err) => {
+            switch (err.type) {
+                case 'request-timeout':
+                case 'body-timeout':
+                    return new FetchFailed(`Problem accessing ${resource_url}: no response within ${timeout}ms`, 'fetch-timeout', resource_url);
+                case 'max-size':
+                    return new FetchFailed(`Problem accessing ${resource_url}: response is larger than ${max_size} bytes`, 'fetch-too-large', resource_url);
+                case 'max-redirect':
+                    return new FetchFailed(`Problem accessing ${resource_url}: more than ${max_redirects} redirects`, 'fetch-too-many-redirects', resource_url);
+                default:
+                    return new FetchFailed(`Problem accessing ${resource_url}: ${err.message}`, 'fetch-network-error', resource_url);
+            }
+        };
+
+        let response;
+        try {
+            const headers = Object.assign({ Accept: content_type }, this._headers, request_headers);
+            response = await fetch(resource_url, {
+                headers,
+                timeout,
+                size   : max_size,
+                follow : max_redirects
+            });
+        } catch (err) {
+            throw fetch_error(err);
+        }
+        if (!response.ok && response.status !== 304) {
+            throw new FetchFailed(`${resource_url}: HTTP response ${response.status}: ${response.statusText}`, 'fetch-http-error', resource_url);
+        }
+
+        const headers = {};
+        response.headers.forEach((value, name) => {
+            headers[name] = value;
+        });
+
+        // Only the standard Fetch API is used: in a browser, node-fetch is replaced by the native implementation
+        let buffer;
+        try {
+            buffer = await response.arrayBuffer();
+        } catch (err) {
+            throw fetch_error(err);
+        }
+        return {
+            body         : decode_body(buffer, headers['content-type'], resource_url),
+            url          : response.url || resource_url,
+            content_type : headers['content-type'],
+            headers,
+            status       : response.status
+        };
+    }
+}
+
+
+/**
+ * Loader reading local files, referred to by file URL-s. The content type is set, if possible, using the file name extension.
+ */
+class FileLoader {
+    /**
+     * @param {Object} content_types - mapping of file name extensions (e.g., '.html') to content types
+     */
+    constructor(content_types = FileLoader.content_types) {
+        this._content_types = content_types;
+    }
+
+    /**
+     * @async
+     * @param {string} resource_url - the file URL of the resource
+     * @return {Promise} encapsulating the body and the metadata of the resource
+     */
+    async load(resource_url) {
+        const file_name = url.fileURLToPath(resource_url);
+        const body = await new Promise((resolve, reject) => {
+            fs.readFile(file_name, 'utf-8', (err, content) => {
+                if (err) {
+                    reject(new FetchFailed(`Problem accessing ${resource_url}: ${err.message}`, 'fetch-file-error', resource_url));
+                } else {
+                    resolve(content);
+                }
+            });
+        });
+        return {
+            body,
+            url          : resource_url,
+            content_type : this._content_types[path.extname(file_name).toLowerCase()],
+            headers      : {}
+        };
+    }
+
+    /**
+     * Default content types of local files, based on the file name extensions; files with other extensions are accepted for any content type.
+     */
+    static get content_types() {
+        return {
+            '.html'        : 'text/html',
+            '.htm'         : 'text/html',
+            '.json'        : 'application/json',
+            '.jsonld'      : 'application/ld+json',
+            '.webmanifest' : 'application/manifest+json'
+        };
+    }
+}
+
+
+/**
+ * Loader serving the resources from memory; typically used for testing, with a map of fixtures.
+ */
+class MemoryLoader {
+    /**
+     * @param {Object} resources - mapping of (absolute) URL-s to the resources: either the body (as a string), or an object with `body`,
+     * and, optionally, `content_type` and `headers` entries.
+     */
+    constructor(resources = {}) {
+        this._resources = {};
+        Object.keys(resources).forEach((key) => this.set(key, resources[key]));
+    }
+
+    /**
+     * Add (or replace) a resource.
+     *
+     * @param {string} resource_url - the URL of the resource
+     * @param {(string|Object)} resource - the body, or an object with `body`, and, optionally, `content_type` and `headers` entries.
+     */
+    set(resource_url, resource) {
+        this._resources[resource_url] = typeof resource === 'string' ? { body: resource } : resource;
+    }
+
+    /**
+     * @async
+     * @param {string} resource_url - the URL of the resource; a fragment identifier is ignored
+     * @return {Promise} encapsulating the body and the metadata of the resource
+     */
+    async load(resource_url) {
+        const resource = this._resources[resource_url] || this._resources[resource_url.split('#')[0]];
+        if (resource === undefined) {
+            throw new FetchFailed(`Problem accessing ${resource_url}: resource not found`, 'fetch-http-error', resource_url);
+        }
+        return {
+            body         : resource.body,
+            url          : resource_url,
+            content_type : resource.content_type,
+            headers      : resource.headers || {}
+        };
+    }
+}
+
+
+/**
+ * Default loader: local files are read via a FileLoader, everything else is retrieved via an HttpLoader.
+ */
+class DefaultLoader {
+    /**
+     * @param {Object} options - options of the HttpLoader
+     */
+    constructor(options = {}) {
+        this._file_loader = new FileLoader();
+        this._http_loader = new HttpLoader(options);
+    }
+
+    /**
+     * @async
+     * @param {string} resource_url - the URL of the resource
+     * @param {string} content_type - the expected content type
+     * @return {Promise} encapsulating the body and the metadata of the resource
+     */
+    async load(resource_url, content_type) {
+        if (url.parse(resource_url).protocol === 'file:') {
+            return this._file_loader.load(resource_url, content_type);
+        } else {
+            return this._http_loader.load(resource_url, content_type);
+        }
+    }
+}
+
+
+/**
+ * Loader with a persistent, on-disk cache for the resources retrieved via HTTP(S); local files are read directly.
+ *
+ * Each cache entry is a JSON file (named after the hash of the URL) with the body, the final URL, the content type, and the
+ * validators (`ETag` and `Last-Modified`) of the response. A cached resource is revalidated with a conditional request; if the
+ * server responds with "304 Not Modified", the cached copy is used. In offline mode there is no network access at all: the
+ * resources are served from the cache only.
+ */
+class CachingLoader extends DefaultLoader {
+    /**
+     * @param {string} directory - the cache directory; created if necessary.
+     * @param {boolean} offline - whether the loader works in offline mode.
+     * @param {Object} options - options of the HttpLoader
+     */
+    constructor(directory, offline = false, options = {}) {
+        super(options);
+        this._directory = directory;
+        this._offline = offline;
+    }
+
+    /**
+     * @param {string} resource_url - the URL of the resource
+     * @return {string} the name of the file containing the cache entry for the resource
+     */
+    _entry_file(resource_url) {
+        const hash = crypto.createHash('sha256').update(resource_url).digest('hex');
+        return path.join(this._directory, `${hash}.json`);
+    }
+
+    /**
+     * @param {string} resource_url - the URL of the resource
+     * @return {Object} the cache entry for the resource; undefined if there is none (or it is unreadable)
+     */
+    _read_entry(resource_url) {
+        try {
+            const entry = JSON.parse(fs.readFileSync(this._entry_file(resource_url), 'utf-8'));
+            return entry.request_url === resource_url ? entry : undefined;
+        } catch (err) {
+            return undefined;
+        }
+    }
+
+    /**
+     * Store a cache entry for the resource. A failure to write the cache is not fatal; the resource is simply not cached.
+     *
+     * @param {string} resource_url - the URL of the resource
+     * @param {Object} response - the response of the loader
+     */
+    _write_entry(resource_url, response) {
+        try {
+            fs.mkdirSync(this._directory, { recursive: true });
+            const entry = Object.assign({ request_url: resource_url, stored: new Date().toISOString() }, response);
+            fs.writeFileSync(this._entry_file(resource_url), JSON.stringify(entry));
+        } catch (err) {
+            // Nothing to do, the cache is just an optimization
+        }
+    }
+
+    /**
+     * @async
+     * @param {string} resource_url - the URL of the resource
+     * @param {string} content_type - the expected content type
+     * @return {Promise} encapsulating the body and the metadata of the resource
+     */
+    async load(resource_url, content_type) {
+        if (url.parse(resource_url).protocol === 'file:') {
+            return super.load(resource_url, content_type);
+        }
+
+        const entry = this._read_entry(resource_url);
+        const cached = () => ({
+            body         : entry.body,
+            url          : entry.url,
+            content_type : entry.content_type,
+            headers      : entry.headers,
+            status       : entry.status
+        });
+
+        if (this._offline) {
+            if (entry === undefined) {
+                throw new FetchFailed(`Problem accessing ${resource_url}: not available in the cache (offline mode)`, 'fetch-not-cached', resource_url);
+            }
+            return cached();
+        }
+
+        const validators = {};
+        if (entry !== undefined) {
+            if (entry.headers.etag !== undefined) {
+                validators['If-None-Match'] = entry.headers.etag;
+            }
+            if (entry.headers['last-modified'] !== undefined) {
+                validators['If-Modified-Since'] = entry.headers['last-modified'];
+            }
+        }
+
+        const response = await this._http_loader.load(resource_url, content_type, validators);
+        if (response.status === 304 && entry !== undefined) {
+            return cached();
+        }
+        this._write_entry(resource_url, response);
+        return response;
+    }
+}
+
+
+/** The loader used when none is specified by the caller */
+const default_loader = new DefaultLoader();
+
+
+/* =================================================================================== */
+
+module.exports = {
+    media_types,
+    default_limits,
+    HttpLoader,
+    FileLoader,
+    MemoryLoader,
+    DefaultLoader,
+    CachingLoader,
+    default_loader
+};
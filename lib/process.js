@@ -4,12 +4,92 @@
 
 'use strict';
 
+const json_map = require('json-source-map');
 const { Logger, LogLevel, obtain_manifest } = require('./utils');
 const { WebPublicationManifest } = require('./WebPublicationManifest');
-const { canonicalize } = require('./CanonicalManifest');
-// const { test_profile}  = require('./profiles');
+const { canonicalize, fetch_toc_document } = require('./CanonicalManifest');
+const { validate_manifest } = require('./schema');
+const { ManifestError, ManifestParseError, FetchFailed } = require('./errors');
+const { core_profile, select_profile, get_profile_name } = require('./profiles');
 
 
+/**
+ * Processing modes, deciding whether the publication is accepted:
+ * - permissive: the publication is always accepted; invalid values are simply ignored (this is the default, and the behavior expected from reading systems)
+ * - strict: the publication is rejected if any error has been found
+ * - pedantic: the publication is rejected if any error or warning has been found
+ */
+const ProcessingMode = Object.freeze({
+    permissive : Symbol('permissive'),
+    strict     : Symbol('strict'),
+    pedantic   : Symbol('pedantic')
+});
+
+
+/**
+ * Decide, based on the diagnostics, whether the publication is acceptable in a specific processing mode.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {Symbol} mode - one of the ProcessingMode values
+ * @returns {boolean}
+ */
+function verdict(logger, mode = ProcessingMode.permissive) {
+    switch (mode) {
+        case ProcessingMode.strict:
+            return logger.errors.length === 0;
+        case ProcessingMode.pedantic:
+            return logger.errors.length === 0 && logger.warnings.length === 0;
+        default:
+            return true;
+    }
+}
+
+
+/**
+ * Check the context of the manifest. It must be an array whose first two entries refer to the schema.org and the Web Publication
+ * contexts; further contexts (URL-s or objects, e.g., `{"@language": "fr"}`) may follow. The "http" variants of the context
+ * URL-s are accepted, but they are deprecated.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {*} context - the value of `@context` in the manifest
+ * @return {boolean} - whether the context is acceptable
+ */
+function check_context(logger, context) {
+    const required_contexts = ['https://schema.org', 'https://www.w3.org/ns/wp-context'];
+    const context_details = { code: 'invalid-context', path: '/@context' };
+    if (!logger.assert(Array.isArray(context), 'Context must be an array', LogLevel.error, context_details)) {
+        return false;
+    }
+
+    // The final '/' is irrelevant; the "http" variant is accepted with a warning
+    const normalize = (value, index) => {
+        if (typeof value !== 'string') {
+            return value;
+        }
+        const reference = value.replace(/\/$/, '');
+        const secure_reference = reference.replace(/^http:/, 'https:');
+        if (reference !== secure_reference && required_contexts.includes(secure_reference)) {
+            logger.assert(false, `Context reference "${value}" is deprecated; use "${secure_reference}" instead`, LogLevel.warning, {
+                code : 'deprecated-context',
+                path : `/@context/${index}`
+            });
+        }
+        return secure_reference;
+    };
+    const contexts = context.map(normalize);
+
+    const check_contexts = required_contexts.every((required, index) => contexts[index] === required);
+    let valid = logger.assert(check_contexts, 'Context references are invalid', LogLevel.error, context_details);
+    contexts.slice(required_contexts.length).forEach((value, index) => {
+        const message = 'Additional contexts must be URL-s or objects';
+        const acceptable = typeof value === 'string' || (value !== null && typeof value === 'object' && !Array.isArray(value));
+        valid = logger.assert(acceptable, message, LogLevel.error, {
+            code : 'invalid-context',
+            path : `/@context/${index + required_contexts.length}`
+        }) && valid;
+    });
+    return valid;
+}
 
 /**
  * Get the Canonical Manifest. It makes some basic checking on the incoming JSON-LD which is turned into an object before calling out to
@@ -17,44 +97,61 @@ const { canonicalize } = require('./CanonicalManifest');
  *
  * @param {Object} logger - logger for errors and warnings.
  * @param {Object} manifest_data - object containing the manifest text, the dom of the primary entry page, the base URL, and the
- * default lang and dir values
- * @return {object}  Object with two entries: a "logger" pointing at logging results (see Logger object in utils.js)
- *  a "wpm" pointing at a WebPublicationManifest class instance and, separately, the canonical manifest.
+ * default lang and dir values; it may also contain the (pre-fetched) `toc_document` to derive the default reading order from
+ * @param {Object} options - processing options; `mode` is one of the ProcessingMode values (default is permissive), `profile` is the
+ *   profile used for the validation and the canonicalization (by default, it is selected based on the `conformsTo` and `type`
+ *   values of the manifest, see the `profiles` module)
+ * @return {object}  Object with two entries: "canonical_manifest", ie, the canonical manifest, and "passed", ie, the verdict of the
+ *  processing mode on the diagnostics logged so far (see `verdict`).
+ * @throws {ManifestParseError} if the manifest is not valid JSON.
  */
-function get_canonical_manifest(logger, manifest_data) {
-    const { manifest_text, dom, base, lang, dir } = manifest_data;
+function get_canonical_manifest(logger, manifest_data, options = {}) {
+    const {
+        manifest_text,
+        dom,
+        base,
+        lang,
+        dir,
+        toc_document,
+        text_position,
+        source
+    } = manifest_data;
+
+    // Parse the JSON text, keeping the positions of the values to locate the diagnostics
+    let manifest_object = {};
     try {
-        let manifest_object = {};
-        try {
-            manifest_object = JSON.parse(manifest_text);
-        } catch (err) {
-            logger.assert(true, `(JSON parsing error) ${err.message}`, LogLevel.error);
-            throw new Error(`(JSON parsing error) ${err.message}`);
+        const { data, pointers } = json_map.parse(manifest_text);
+        manifest_object = data;
+        logger.set_source_map(pointers, text_position, source || base);
+    } catch (err) {
+        // The error message of the parser includes the position of the error in the text
+        const error_position = /position (\d+)/.exec(err.message);
+        let position;
+        if (error_position) {
+            const lines = manifest_text.slice(0, Number(error_position[1])).split('\n');
+            logger.set_source_map({}, text_position, source || base);
+            position = logger.text_position(lines.length - 1, lines[lines.length - 1].length);
         }
+        const parse_error = new ManifestParseError(err.message, position);
+        logger.assert(false, parse_error.message, LogLevel.error, { code: parse_error.code, position });
+        throw parse_error;
+    }
 
+    const profile = options.profile || select_profile(manifest_object);
+    try {
         // ------------------------------------------------------------------------
-        // Testing the validity of the manifest
-        // Check the contexts whether they are the right ones...
-        const required_contexts = ['https://schema.org', 'https://www.w3.org/ns/wp-context'];
-        if (logger.assert(manifest_object['@context'] && Array.isArray(manifest_object['@context'], 'No context has been provided', LogLevel.error))) {
-            const check_contexts = required_contexts.reduce(
-                (previousValue, currentValue, currentIndex) => previousValue && (manifest_object['@context'][currentIndex] === currentValue), true
-            );
-            logger.assert(check_contexts, 'Context references are invalid', LogLevel.error);
-        }
-
-        // ======= A check of the manifest, via ajv, could go here! =======
+        // Testing the validity of the manifest against the schema; this includes
+        // the presence of a publication type.
+        validate_manifest(logger, manifest_object, profile);
 
-        // Check whether a type has been provided.
-        logger.assert(manifest_object.type, 'No publication type has been provided', LogLevel.error);
+        // Check the presence of the contexts and whether they are the right ones...
+        check_context(logger, manifest_object['@context']);
 
-        if (dom === undefined) {
-            return canonicalize(logger, manifest_object, base, undefined, lang, dir);
-        } else {
-            return canonicalize(logger, manifest_object, base, dom.window.document, lang, dir);
-        }
+        const document = dom === undefined ? undefined : dom.window.document;
+        const canonical_manifest = canonicalize(logger, manifest_object, base, document, lang, dir, profile, toc_document);
+        return { canonical_manifest, passed: verdict(logger, options.mode) };
     } catch (err) {
-        logger.assert(false, `(In processing the manifest) ${err.message}`, LogLevel.error);
+        logger.assert(false, `(In processing the manifest) ${err.message}`, LogLevel.error, { code: 'processing-error' });
         throw new Error(`(In processing the manifest) ${err.message}`);
     }
 }
@@ -69,11 +166,15 @@ function get_canonical_manifest(logger, manifest_data) {
  * @param {Object} canonical_manifest - the full canonical manifest
  * @param {string} base - base URL to be used for relative URL-s.
  * @param {boolean} m_separate - whether the manifest originates from a separate file or is embedded.
+ * @param {Document} document - the DOM Document node of the primary entry page, if any.
+ * @param {Object} profile - the profile used for the canonicalization of the manifest
 */
-function get_wpm(logger, canonical_manifest, base, m_separate) {
+function get_wpm(logger, canonical_manifest, base, m_separate, document = undefined, profile = core_profile) {
+    // These terms are either not mapped at all or their values are calculated by the WebPublicationManifest instance itself
+    const unmapped_terms = ['@context', 'toc'];
     try {
         // Populate the final manifest...
-        const wpm = new WebPublicationManifest(logger, base, m_separate);
+        const wpm = new WebPublicationManifest(logger, base, m_separate, document, profile);
         const manifest_terms = Object.getOwnPropertyNames(wpm);
 
         // All method calls are similar: take the value of the manifest, and
@@ -82,9 +183,11 @@ function get_wpm(logger, canonical_manifest, base, m_separate) {
         Object.keys(canonical_manifest).forEach((term) => {
             // Whilst most of the terms are used verbatim, some are not.
             // Also, some should not be mapped.
-            if (term !== '@context') {
+            if (!unmapped_terms.includes(term)) {
                 if (manifest_terms.includes(`_${term}`)) {
-                    wpm[term] = canonical_manifest[term];
+                    logger.with_path(term, () => {
+                        wpm[term] = canonical_manifest[term];
+                    });
                 }
             }
         });
@@ -92,7 +195,7 @@ function get_wpm(logger, canonical_manifest, base, m_separate) {
         // That is it...
         return { wpm, canonical_manifest, logger };
     } catch (err) {
-        logger.assert(true, `(In processing the manifest) ${err.message}`, LogLevel.error);
+        logger.assert(false, `(In processing the manifest) ${err.message}`, LogLevel.error, { code: 'processing-error' });
         throw new Error(`(In processing the manifest) ${err.message}`);
     }
 }
@@ -100,17 +203,140 @@ function get_wpm(logger, canonical_manifest, base, m_separate) {
 /**
  * Mostly for testing: using the DOM of an HTML content, return the result of a full processing.
  *
+ * The possible options are:
+ * - `toc_reading_order`: if the manifest has no reading order, derive one from the table of contents (if any) rather than
+ *   using the primary entry page only.
+ * - `logger`: the logger to be used; a new one is created by default. (Setting it allows access to the diagnostics even if
+ *   the processing fails with an exception.)
+ * - `mode`: one of the ProcessingMode values; default is permissive.
+ * - `profile`: the profile used for the validation, the canonicalization, and the creation of the Web Publication Manifest object
+ *   (see the `profiles` module); by default, the registered profile matching the `conformsTo` or the `type` values of the
+ *   manifest is used, falling back to the core profile.
+ * - `loader`: the resource loader used to fetch the manifest and the table of contents (see the `loaders` module); default is
+ *   the loader using HTTP(S) and the local file system.
+ *
  * @param {JSDOM} dom
- * @return {object}  Object with two entries: a "logger" pointing at logging results (see Logger object in utils.js)
- *  a "wpm" pointing at a WebPublicationManifest class instance and, separately, "canonical_manifest" as a JS object.
+ * @param {Object} options - processing options
+ * @return {object}  Object with the entries: a "logger" pointing at logging results (see Logger object in utils.js)
+ *  a "wpm" pointing at a WebPublicationManifest class instance and, separately, "canonical_manifest" as a JS object, and
+ *  "passed", ie, the verdict of the processing mode, "profile", ie, the name of the profile used, and "inherited", ie, the default
+ *  `lang` and `dir` values inherited from the primary entry page or from the HTTP headers, each with a `value` and a `source`
+ *  (describing where the value comes from; null if there is no inherited value). If the publication is rejected, "wpm" and
+ *  "canonical_manifest" are undefined.
+ * @throws {ManifestNotFound} if there is no manifest (the error is also logged)
+ * @throws {FetchFailed} if the manifest cannot be retrieved (the error is also logged)
+ * @throws {ManifestParseError} if the manifest is not valid JSON (the error is also logged)
 */
-async function get_manifest(dom) {
-    const logger = new Logger();
-    const manifest_data = await obtain_manifest(dom);
-    const canonical_manifest = get_canonical_manifest(logger, manifest_data);
-    return get_wpm(logger, canonical_manifest, dom.window.document.URL !== manifest_data.base);
+async function get_manifest(dom, options = {}) {
+    const logger = options.logger || new Logger();
+    let manifest_data;
+    try {
+        manifest_data = await obtain_manifest(dom, options.loader, logger);
+    } catch (err) {
+        if (err instanceof ManifestError) {
+            logger.assert(false, err.message, LogLevel.error, { code: err.code });
+        }
+        throw err;
+    }
+
+    return process_manifest_data(logger, manifest_data, options);
+}
+
+
+/**
+ * Using the text of a standalone manifest (ie, without a primary entry page), return the result of a full processing.
+ * The base URL of the manifest is its location; for a manifest without a location (e.g., typed in by the user) any
+ * base URL may be used to resolve the relative URL-s.
+ *
+ * The options are the same as for `get_manifest`.
+ *
+ * @param {string} manifest_text - the manifest, as a JSON text
+ * @param {string} base - the base URL of the manifest
+ * @param {Object} options - processing options
+ * @return {object}  Object with the same entries as the result of `get_manifest`.
+ * @throws {ManifestParseError} if the manifest is not valid JSON (the error is also logged)
+ */
+async function get_manifest_from_json(manifest_text, base, options = {}) {
+    const logger = options.logger || new Logger();
+    const manifest_data = {
+        manifest_text,
+        base,
+        dom           : undefined,
+        lang          : null,
+        dir           : null,
+        lang_source   : null,
+        dir_source    : null,
+        source        : base,
+        text_position : { line: 1, column: 1 }
+    };
+    return process_manifest_data(logger, manifest_data, options);
+}
+
+
+/**
+ * Process the manifest data, as obtained either from a primary entry page or from a standalone manifest: canonicalize the
+ * manifest, create the Web Publication Manifest object, and decide on the verdict.
+ *
+ * @async
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {Object} manifest_data - object containing the manifest text, the dom of the primary entry page (if any), the base URL, and the
+ * default lang and dir values
+ * @param {Object} options - processing options (see `get_manifest`)
+ * @return {object} Object with the entries described for `get_manifest`.
+ */
+async function process_manifest_data(logger, manifest_data, options) {
+    const document = manifest_data.dom === undefined ? undefined : manifest_data.dom.window.document;
+
+    let manifest_object;
+    try {
+        manifest_object = JSON.parse(manifest_data.manifest_text);
+    } catch (err) {
+        // JSON errors are reported by the canonicalization step
+    }
+    // The same profile is used all along the processing
+    const profile = options.profile || (manifest_object === undefined ? core_profile : select_profile(manifest_object));
+
+    // The document with the table of contents, or the error raised when fetching it; it is reused for the table of contents itself
+    let toc_prefetched;
+    if (options.toc_reading_order && manifest_object !== undefined) {
+        try {
+            toc_prefetched = await fetch_toc_document(manifest_object, manifest_data.base, document, options.loader, logger);
+            manifest_data.toc_document = toc_prefetched;
+        } catch (err) {
+            // Fetch problems are reported when the table of contents is loaded; invalid resource values are reported by the canonicalization step
+            toc_prefetched = err instanceof FetchFailed ? err : undefined;
+        }
+    }
+    // The processing mode is not used here: the verdict is made at the end, when all the diagnostics have been collected
+    const { canonical_manifest } = get_canonical_manifest(logger, manifest_data, { profile });
+    const m_separate = document === undefined || document.URL !== manifest_data.base;
+    const retval = get_wpm(logger, canonical_manifest, manifest_data.base, m_separate, document, profile);
+    retval.profile = get_profile_name(profile);
+    retval.inherited = {
+        lang : { value: manifest_data.lang, source: manifest_data.lang_source || null },
+        dir  : { value: manifest_data.dir, source: manifest_data.dir_source || null }
+    };
+
+    // The table of contents may have to be fetched from a separate document, unless it has already been done for the reading order
+    await retval.wpm.load_toc(options.loader, toc_prefetched);
+
+    // Some attributes are checked only when they are first used; they must be part of the verdict, too.
+    retval.wpm.check_derived_attributes();
+
+    retval.passed = verdict(logger, options.mode);
+    if (!retval.passed) {
+        retval.wpm = undefined;
+        retval.canonical_manifest = undefined;
+    }
+    return retval;
 }
 
 /* =================================================================================== */
 
-module.exports = { get_manifest, get_canonical_manifest };
+module.exports = {
+    ProcessingMode,
+    verdict,
+    get_manifest,
+    get_manifest_from_json,
+    get_canonical_manifest
+};
@@ -0,0 +1,183 @@
+/**
+ * Declarative profiles, defined in JSON or YAML files rather than in JavaScript.
+ *
+ * A profile file is an object with the following (optional) entries:
+ * - `name`: the name of the profile; default is the file name without its extension;
+ * - `extends`: the profile extended by this one, either the name of a registered profile or the file name of another
+ *   declarative profile (relative to this file); default is the core profile;
+ * - `types` and `conformsTo`: the publication types and the `conformsTo` URL-s for which the profile is used (see
+ *   `register_profile` in the profiles module);
+ * - `array_values`, `entity_values`, `link_values`, `local_string_values`, `url_values`: the new terms in each category, added
+ *   to the ones of the extended profile; the entity, link, and text terms are also array terms, even if they are not declared as such;
+ * - `schema_properties`: JSON Schema fragments for the validation of the new terms; they may refer to the definitions of the
+ *   core schema, e.g., `{ "$ref": "#/definitions/entities" }`.
+ *
+ * The profile-specific canonicalization step, if any, is inherited from the extended profile.
+ *
+ * This module relies on the local file system, i.e., it is not part of the browser version of the library.
+ */
+
+'use strict';
+
+const path                                            = require('path');
+const fs                                              = require('fs');
+const yaml                                            = require('js-yaml');
+const { core_profile, get_profile, register_profile } = require('./profiles');
+const { get_validator }                               = require('./schema');
+const { InvalidProfile }                              = require('./errors');
+
+/** The term categories of a profile */
+const term_categories = ['array_values', 'entity_values', 'link_values', 'local_string_values', 'url_values'];
+
+/** All the possible entries of a profile file */
+const profile_entries = ['name', 'extends', 'types', 'conformsTo', 'schema_properties', ...term_categories];
+
+
+/**
+ * Read and parse a profile file; files with a `.yaml` or `.yml` extension are parsed as YAML, all others as JSON.
+ *
+ * @param {string} file - the file name
+ * @return {Object} the profile declaration
+ * @throws {InvalidProfile} if the file cannot be read or parsed
+ */
+function read_declaration(file) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf-8');
+    } catch (err) {
+        throw new InvalidProfile(`Profile file cannot be read: ${err.message}`, file);
+    }
+    try {
+        return ['.yaml', '.yml'].includes(path.extname(file).toLowerCase()) ? yaml.safeLoad(text) : JSON.parse(text);
+    } catch (err) {
+        throw new InvalidProfile(`Profile file cannot be parsed: ${err.message}`, file);
+    }
+}
+
+
+/**
+ * Check the structure of a profile declaration.
+ *
+ * @param {Object} declaration - the profile declaration
+ * @param {string} file - the file name (used in the error messages)
+ * @throws {InvalidProfile} if the declaration is invalid
+ */
+function check_declaration(declaration, file) {
+    const is_string_array = (value) => Array.isArray(value) && value.every((item) => typeof item === 'string');
+
+    if (declaration === null || typeof declaration !== 'object' || Array.isArray(declaration)) {
+        throw new InvalidProfile('A profile must be an object', file);
+    }
+    Object.keys(declaration).forEach((key) => {
+        if (!profile_entries.includes(key)) {
+            throw new InvalidProfile(`Unknown profile entry "${key}"`, file);
+        }
+    });
+    ['name', 'extends'].forEach((key) => {
+        if (declaration[key] !== undefined && typeof declaration[key] !== 'string') {
+            throw new InvalidProfile(`The value of "${key}" must be a string`, file);
+        }
+    });
+    ['types', 'conformsTo', ...term_categories].forEach((key) => {
+        if (declaration[key] !== undefined && !is_string_array(declaration[key])) {
+            throw new InvalidProfile(`The value of "${key}" must be an array of strings`, file);
+        }
+    });
+
+    const schema_properties = declaration.schema_properties;
+    if (schema_properties !== undefined) {
+        if (schema_properties === null || typeof schema_properties !== 'object' || Array.isArray(schema_properties)) {
+            throw new InvalidProfile('The value of "schema_properties" must be an object', file);
+        }
+        const declared_terms = term_categories.reduce((all, category) => [...all, ...(declaration[category] || [])], []);
+        Object.keys(schema_properties).forEach((term) => {
+            if (!declared_terms.includes(term)) {
+                throw new InvalidProfile(`Validation rule for the undeclared term "${term}"`, file);
+            }
+        });
+    }
+}
+
+
+/**
+ * Load a declarative profile.
+ *
+ * @param {string} file - the file name
+ * @param {string[]} loading - the files being loaded (used to detect circular `extends` references)
+ * @return {Object} - the `name` of the profile, the `profile` itself, and its `selectors` (see `register_profile`)
+ * @throws {InvalidProfile} if the profile (or the one it extends) is invalid
+ */
+function load_profile(file, loading = []) {
+    const full_name = path.resolve(file);
+    if (loading.includes(full_name)) {
+        throw new InvalidProfile('Circular "extends" reference', file);
+    }
+
+    const declaration = read_declaration(full_name);
+    check_declaration(declaration, file);
+
+    // Find the extended profile: a registered one, or another profile file
+    let base_profile = core_profile;
+    if (declaration.extends !== undefined) {
+        base_profile = get_profile(declaration.extends);
+        if (base_profile === undefined) {
+            const base_file = path.resolve(path.dirname(full_name), declaration.extends);
+            if (!fs.existsSync(base_file)) {
+                throw new InvalidProfile(`Unknown profile "${declaration.extends}" in "extends"`, file);
+            }
+            ({ profile: base_profile } = load_profile(base_file, [...loading, full_name]));
+        }
+    }
+
+    const profile = {};
+    term_categories.forEach((category) => {
+        profile[category] = [...(declaration[category] || []), ...base_profile[category]];
+    });
+    // The values of entities, links, and texts are arrays in the canonical manifest, whether or not they are declared as such
+    ['entity_values', 'link_values', 'local_string_values']
+        .reduce((all, category) => [...all, ...(declaration[category] || [])], [])
+        .filter((term, index, all) => !profile.array_values.includes(term) && all.indexOf(term) === index)
+        .forEach((term) => profile.array_values.unshift(term));
+    profile.schema_properties = base_profile.schema_properties || declaration.schema_properties
+        ? Object.assign({}, base_profile.schema_properties, declaration.schema_properties)
+        : null;
+    profile.profile_c14n = base_profile.profile_c14n;
+
+    // An invalid validation rule would make the processing of every manifest fail; better to catch it right away
+    try {
+        get_validator(profile);
+    } catch (err) {
+        throw new InvalidProfile(`Invalid validation rule: ${err.message}`, file);
+    }
+
+    return {
+        name      : declaration.name || path.basename(file, path.extname(file)),
+        profile,
+        selectors : {
+            types       : declaration.types,
+            conforms_to : declaration.conformsTo
+        }
+    };
+}
+
+
+/**
+ * Load a declarative profile and register it.
+ *
+ * @param {string} file - the file name
+ * @return {string} the name of the profile
+ * @throws {InvalidProfile} if the profile is invalid
+ */
+function register_profile_file(file) {
+    const { name, profile, selectors } = load_profile(file);
+    register_profile(name, profile, selectors);
+    return name;
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    load_profile,
+    register_profile_file
+};
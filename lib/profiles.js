@@ -1,5 +1,8 @@
 'use strict';
 
+const { parse, toSeconds }           = require('iso8601-duration');
+const { LogLevel, resources_with_rel } = require('./utils');
+
 const misc_arrays_properties = [
     'type',
     'name',
@@ -42,6 +45,7 @@ const core_profile = {
     link_values         : [...resource_categorization_properties],
     local_string_values : ['description', 'name', 'accessibilitySummary'],
     url_values          : ['url', 'id'],
+    schema_properties   : null,
     profile_c14n        : null
 };
 
@@ -51,8 +55,180 @@ const test_profile = {
     link_values         : core_profile.link_values,
     local_string_values : core_profile.local_string_values,
     url_values          : core_profile.url_values,
+    schema_properties   : { painter: { $ref: '#/definitions/entities' } },
     profile_c14n        : (manifest, base, document, lang, dir) => manifest
 };
 
+/** Maximal difference, in seconds, between the duration of an audiobook and the sum of the lengths of its reading order items */
+const audiobook_duration_tolerance = 2;
+
+/**
+ * Audiobook specific canonicalization step: the manifest is not modified, but the audiobook requirements are checked.
+ * An audiobook must have a global duration, and each reading order item must have an audio media type and a length (in
+ * seconds) whose sum must match the global duration. An audiobook is also expected to have a reader and a cover.
+ *
+ * @param {Object} manifest - the canonical manifest
+ * @param {string} base - the base URL to be used
+ * @param {Document} document - the DOM Document Note of the primary entry page, if any
+ * @param {string} lang - the default language
+ * @param {string} dir - the default text direction
+ * @param {Object} logger - logger for errors and warnings
+ * @return {Object} the manifest
+ */
+function audiobook_c14n(manifest, base, document, lang, dir, logger) {
+    let duration;
+    if (logger.assert(manifest.duration !== undefined, 'An audiobook must have a duration', LogLevel.error, { code: 'audiobook-missing-duration' })) {
+        try {
+            duration = toSeconds(parse(manifest.duration));
+        } catch (err) {
+            // Invalid duration values are reported when the Web Publication Manifest object is created
+        }
+    }
+
+    const reading_order = manifest.readingOrder || [];
+    let total_length = 0;
+    let all_lengths = reading_order.length > 0;
+    reading_order.forEach((item, index) => {
+        const path = `/readingOrder/${index}`;
+        const format = item.encodingFormat;
+        const format_message = `Reading order item "${item.url}" must have an audio media type`;
+        logger.assert(typeof format === 'string' && format.startsWith('audio/'), format_message, LogLevel.error, {
+            code : 'audiobook-invalid-media-type',
+            path : format === undefined ? path : `${path}/encodingFormat`
+        });
+
+        const length = Number.parseFloat(item.length);
+        const length_message = `Reading order item "${item.url}" must have a length`;
+        if (!logger.assert(item.length !== undefined, length_message, LogLevel.error, { code: 'audiobook-missing-length', path })) {
+            all_lengths = false;
+        } else if (Number.isNaN(length)) {
+            // Invalid length values are reported when the Web Publication Manifest object is created
+            all_lengths = false;
+        } else {
+            total_length += length;
+        }
+    });
+
+    if (duration !== undefined && all_lengths) {
+        const message = `The sum of the reading order item lengths (${total_length}s) does not match the duration of the audiobook (${duration}s)`;
+        logger.assert(Math.abs(total_length - duration) <= audiobook_duration_tolerance, message, LogLevel.warning, {
+            code : 'audiobook-duration-mismatch',
+            path : '/duration'
+        });
+    }
+
+    const has_reader = Array.isArray(manifest.readBy) && manifest.readBy.length > 0;
+    logger.assert(has_reader, 'An audiobook should have a reader ("readBy")', LogLevel.warning, { code: 'audiobook-missing-reader' });
+
+    const has_cover = resources_with_rel(manifest, 'cover').length > 0;
+    logger.assert(has_cover, 'An audiobook should have a cover', LogLevel.warning, { code: 'audiobook-missing-cover' });
+
+    return manifest;
+}
+
+const audiobook_profile = {
+    array_values        : core_profile.array_values,
+    entity_values       : core_profile.entity_values,
+    link_values         : core_profile.link_values,
+    local_string_values : core_profile.local_string_values,
+    url_values          : core_profile.url_values,
+    schema_properties   : null,
+    profile_c14n        : audiobook_c14n
+};
+
+/**
+ * Registry of the profiles. Each entry has a `name`, the `profile` itself, and the selectors of the profile: the publication
+ * `types` and the `conforms_to` URL-s for which the profile is used. Later registrations take precedence.
+ */
+const registry = [];
+
+
+/**
+ * Register a profile; a profile registered earlier with the same name is replaced.
+ *
+ * @param {string} name - the name of the profile (e.g., for the command line)
+ * @param {Object} profile - structure categorizing the terms for a profile
+ * @param {Object} selectors - `types`: the publication types (e.g., "Audiobook"), `conforms_to`: the `conformsTo` URL-s
+ *   for which the profile is used. A profile without selectors can only be used explicitly, by its name.
+ */
+function register_profile(name, profile, selectors = {}) {
+    const index = registry.findIndex((entry) => entry.name === name);
+    if (index !== -1) {
+        registry.splice(index, 1);
+    }
+    registry.unshift({
+        name,
+        profile,
+        types       : selectors.types || [],
+        conforms_to : selectors.conforms_to || []
+    });
+}
+
+
+/**
+ * @param {string} name - the name of the profile
+ * @return {Object} the profile; undefined if there is no such profile
+ */
+function get_profile(name) {
+    const entry = registry.find((current) => current.name === name);
+    return entry ? entry.profile : undefined;
+}
+
+
+/**
+ * @param {Object} profile - a registered profile
+ * @return {string} the name of the profile; undefined if the profile is not registered
+ */
+function get_profile_name(profile) {
+    const entry = registry.find((current) => current.profile === profile);
+    return entry ? entry.name : undefined;
+}
+
+
+/**
+ * @return {string[]} the names of all the registered profiles
+ */
+function profile_names() {
+    return registry.map((entry) => entry.name).sort();
+}
+
+
+/**
+ * Select the profile of a manifest. An explicit `conformsTo` value takes precedence over the publication type; if
+ * no profile matches, the core profile is used.
+ *
+ * @param {Object} manifest - the manifest object (not necessarily canonicalized)
+ * @return {Object} the profile
+ */
+function select_profile(manifest) {
+    const to_array = (value) => {
+        if (value === undefined || value === null) {
+            return [];
+        }
+        return Array.isArray(value) ? value : [value];
+    };
+    const conforms_to = to_array(manifest.conformsTo);
+    const types = to_array(manifest.type);
+
+    const entry = registry.find((current) => current.conforms_to.some((value) => conforms_to.includes(value)))
+        || registry.find((current) => current.types.some((value) => types.includes(value)));
+    return entry ? entry.profile : core_profile;
+}
+
+
+register_profile('core', core_profile);
+register_profile('test', test_profile);
+register_profile('audiobook', audiobook_profile, { types: ['Audiobook'], conforms_to: ['https://www.w3.org/TR/audiobooks/'] });
+
+
 /* =================================================================================== */
-module.exports = { core_profile, test_profile };
+module.exports = {
+    core_profile,
+    test_profile,
+    audiobook_profile,
+    register_profile,
+    get_profile,
+    get_profile_name,
+    profile_names,
+    select_profile
+};
@@ -0,0 +1,144 @@
+/**
+ * JSON-LD processing of the canonical manifest: expansion, and serialization as RDF (N-Quads or Turtle).
+ *
+ * The processing is done offline: the contexts of the manifest (schema.org and the Web Publication context) are bundled
+ * with the library (see the `contexts` folder), and no other remote context is retrieved. The schema.org context is the
+ * published one; the Web Publication context is, for now, a hand-written one (see the README of the `contexts` folder).
+ */
+
+'use strict';
+
+const jsonld             = require('jsonld');
+const { Parser, Writer } = require('n3');
+const { ManifestError }  = require('./errors');
+const schema_org_context = require('./contexts/schema.org.json');
+const wp_context         = require('./contexts/wp-context.json');
+
+/** The bundled contexts; the keys are the context URL-s without the final '/' */
+const bundled_contexts = {
+    'https://schema.org'               : schema_org_context,
+    'http://schema.org'                : schema_org_context,
+    'https://www.w3.org/ns/wp-context' : wp_context,
+    'http://www.w3.org/ns/wp-context'  : wp_context
+};
+
+/** Prefixes used in the Turtle serialization */
+const turtle_prefixes = {
+    schema : 'http://schema.org/',
+    wp     : 'https://www.w3.org/ns/wp#',
+    rdf    : 'http://www.w3.org/1999/02/22-rdf-syntax-ns#',
+    xsd    : 'http://www.w3.org/2001/XMLSchema#'
+};
+
+/** The RDF serialization formats */
+const rdf_formats = ['nquads', 'turtle'];
+
+
+/**
+ * JSON-LD document loader serving the bundled contexts only.
+ *
+ * @async
+ * @param {string} context_url - the URL of the context
+ * @return {Object} - the remote document structure expected by the JSON-LD processor
+ * @throws {ManifestError} if the context is not bundled
+ */
+async function document_loader(context_url) {
+    const document = bundled_contexts[context_url.replace(/\/$/, '')];
+    if (document === undefined) {
+        throw new ManifestError(`Context ${context_url} is not available offline`, 'jsonld-unknown-context');
+    }
+    return { contextUrl: null, documentUrl: context_url, document };
+}
+
+
+/**
+ * Run a JSON-LD operation, turning its errors into a ManifestError.
+ *
+ * @async
+ * @param {Function} operation - the JSON-LD operation, returning a promise
+ * @return {*} the result of the operation
+ * @throws {ManifestError} if the JSON-LD processing fails
+ */
+async function jsonld_operation(operation) {
+    try {
+        return await operation();
+    } catch (err) {
+        // The JSON-LD errors may wrap the real cause (e.g., a missing context)
+        const cause = err.details && err.details.cause;
+        if (cause instanceof ManifestError) {
+            throw cause;
+        }
+        throw new ManifestError(`(JSON-LD processing error) ${err.message}`, 'jsonld-error');
+    }
+}
+
+
+/**
+ * Expand the canonical manifest.
+ *
+ * @async
+ * @param {Object} canonical_manifest - the canonical manifest
+ * @return {Object[]} the expanded JSON-LD
+ * @throws {ManifestError} if the JSON-LD processing fails
+ */
+async function expand_manifest(canonical_manifest) {
+    return jsonld_operation(() => jsonld.expand(canonical_manifest, { documentLoader: document_loader }));
+}
+
+
+/**
+ * Serialize the canonical manifest as N-Quads.
+ *
+ * @async
+ * @param {Object} canonical_manifest - the canonical manifest
+ * @return {string} the N-Quads serialization
+ * @throws {ManifestError} if the JSON-LD processing fails
+ */
+async function to_nquads(canonical_manifest) {
+    return jsonld_operation(() => jsonld.toRDF(canonical_manifest, { format: 'application/n-quads', documentLoader: document_loader }));
+}
+
+
+/**
+ * Serialize the canonical manifest as Turtle.
+ *
+ * @async
+ * @param {Object} canonical_manifest - the canonical manifest
+ * @return {string} the Turtle serialization
+ * @throws {ManifestError} if the JSON-LD processing fails
+ */
+async function to_turtle(canonical_manifest) {
+    const quads = new Parser({ format: 'N-Quads', blankNodePrefix: '' }).parse(await to_nquads(canonical_manifest));
+    const writer = new Writer({ prefixes: turtle_prefixes });
+    writer.addQuads(quads);
+    return new Promise((resolve, reject) => {
+        writer.end((err, result) => (err ? reject(err) : resolve(result)));
+    });
+}
+
+
+/**
+ * Serialize the canonical manifest in one of the RDF formats.
+ *
+ * @async
+ * @param {Object} canonical_manifest - the canonical manifest
+ * @param {string} format - one of the `rdf_formats`
+ * @return {string} the serialization
+ * @throws {ManifestError} if the JSON-LD processing fails
+ */
+async function serialize_manifest(canonical_manifest, format) {
+    return format === 'turtle' ? to_turtle(canonical_manifest) : to_nquads(canonical_manifest);
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    bundled_contexts,
+    rdf_formats,
+    document_loader,
+    expand_manifest,
+    to_nquads,
+    to_turtle,
+    serialize_manifest
+};
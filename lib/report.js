@@ -0,0 +1,182 @@
+/**
+ * Machine readable serializations of the diagnostics collected by a Logger: JSON, SARIF (version 2.1.0), and JUnit XML.
+ * These are meant to integrate the manifest checks into code review annotations or test dashboards.
+ */
+
+'use strict';
+
+const { name: tool_name, version: tool_version } = require('../package.json');
+
+/** The available report formats; "text" is the human readable format of the Logger itself */
+const report_formats = ['text', 'json', 'sarif', 'junit'];
+
+
+/**
+ * All the diagnostics of the logger, errors first.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @returns {Diagnostic[]}
+ */
+function all_diagnostics(logger) {
+    return [...logger.errors, ...logger.warnings];
+}
+
+
+/**
+ * Escape a string to be used as XML content or attribute value.
+ *
+ * @param {string} str
+ * @returns {string}
+ */
+function xml_escape(str) {
+    return `${str}`
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+
+/**
+ * JSON report: the source and the list of diagnostics (with `code`, `severity`, `message`, `path`, `line`, and `column`).
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {string} source - URL of the processed publication; default is the source registered in the logger.
+ * @returns {string}
+ */
+function report_json(logger, source = logger.source) {
+    const diagnostics = all_diagnostics(logger);
+    return JSON.stringify({
+        source,
+        errors      : logger.errors.length,
+        warnings    : logger.warnings.length,
+        diagnostics : diagnostics.map((diagnostic) => Object.assign({}, diagnostic))
+    }, null, 4);
+}
+
+
+/**
+ * SARIF report, version 2.1.0. Each diagnostic code becomes a rule; each diagnostic becomes a result, located via
+ * the line and column in the source (physical location) and via the JSON pointer (logical location).
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {string} source - URL of the processed publication; default is the source registered in the logger.
+ * @returns {string}
+ */
+function report_sarif(logger, source = logger.source) {
+    const diagnostics = all_diagnostics(logger);
+    const rules = diagnostics
+        .map((diagnostic) => diagnostic.code)
+        .filter((code, index, all) => all.indexOf(code) === index);
+
+    const results = diagnostics.map((diagnostic) => {
+        const location = {};
+        if (source !== undefined) {
+            location.physicalLocation = { artifactLocation: { uri: source } };
+            if (diagnostic.line !== undefined) {
+                location.physicalLocation.region = {
+                    startLine   : diagnostic.line,
+                    startColumn : diagnostic.column
+                };
+            }
+        }
+        if (diagnostic.path !== undefined) {
+            location.logicalLocations = [{ fullyQualifiedName: diagnostic.path, kind: 'member' }];
+        }
+        return {
+            ruleId    : diagnostic.code,
+            ruleIndex : rules.indexOf(diagnostic.code),
+            level     : diagnostic.severity,
+            message   : { text: diagnostic.message },
+            locations : Object.keys(location).length === 0 ? [] : [location]
+        };
+    });
+
+    return JSON.stringify({
+        $schema : 'https://json.schemastore.org/sarif-2.1.0.json',
+        version : '2.1.0',
+        runs    : [{
+            tool: {
+                driver: {
+                    name           : tool_name,
+                    version        : tool_version,
+                    informationUri : 'https://github.com/iherman/WPManifest',
+                    rules          : rules.map((code) => ({ id: code }))
+                }
+            },
+            results
+        }]
+    }, null, 4);
+}
+
+
+/**
+ * JUnit XML report. The publication is a test suite; each diagnostic is a test case, failing for errors and passing
+ * (with the message as output) for warnings. A publication without any diagnostics yields one passing test case.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {string} source - URL of the processed publication; default is the source registered in the logger.
+ * @returns {string}
+ */
+function report_junit(logger, source = logger.source) {
+    const suite = xml_escape(source || 'manifest');
+    const diagnostics = all_diagnostics(logger);
+
+    const testcase = (diagnostic) => {
+        const location = diagnostic.path !== undefined ? ` at ${diagnostic.path}` : '';
+        const name = xml_escape(`${diagnostic.code}${location}`);
+        const message = xml_escape(diagnostic.toString());
+        const content = diagnostic.severity === 'error'
+            ? `<failure message="${message}" type="${diagnostic.code}">${message}</failure>`
+            : `<system-out>warning: ${message}</system-out>`;
+        return `        <testcase classname="${suite}" name="${name}">\n            ${content}\n        </testcase>`;
+    };
+
+    const testcases = diagnostics.length === 0 ? [`        <testcase classname="${suite}" name="manifest"/>`] : diagnostics.map(testcase);
+    const counts = `tests="${testcases.length}" failures="${logger.errors.length}" errors="0"`;
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        `<testsuites name="${tool_name}" ${counts}>`,
+        `    <testsuite name="${suite}" ${counts} skipped="0">`,
+        ...testcases,
+        '    </testsuite>',
+        '</testsuites>'
+    ].join('\n');
+}
+
+
+/**
+ * Serialize the diagnostics of a logger in one of the report formats.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {string} format - one of the values in `report_formats`
+ * @param {string} source - URL of the processed publication; default is the source registered in the logger.
+ * @returns {string}
+ * @throws {exception} if the format is unknown
+ */
+function report(logger, format, source = logger.source) {
+    switch (format) {
+        case 'text':
+            return logger.toString();
+        case 'json':
+            return report_json(logger, source);
+        case 'sarif':
+            return report_sarif(logger, source);
+        case 'junit':
+            return report_junit(logger, source);
+        default:
+            throw new Error(`Unknown report format "${format}" (should be one of ${report_formats.join(', ')})`);
+    }
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    report_formats,
+    report,
+    report_json,
+    report_sarif,
+    report_junit
+};
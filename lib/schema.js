@@ -0,0 +1,65 @@
+/**
+ * Validation of the authored manifest against the (bundled) JSON Schema of the Web Publication Manifest.
+ *
+ * Profiles may extend the schema through their `schema_properties` entry: an object mapping their additional
+ * terms to JSON Schema fragments. These fragments may refer to the definitions of the core schema, e.g.,
+ * `{ "$ref": "#/definitions/entities" }`.
+ */
+
+'use strict';
+
+const Ajv = require('ajv');
+const { LogLevel } = require('./utils');
+const { core_profile } = require('./profiles');
+const manifest_schema = require('./manifest_schema.json');
+
+/** Compiled validation functions, one per profile */
+const validators = new Map();
+
+
+/**
+ * Get the validation function for a profile, compiling the (possibly extended) schema if necessary.
+ *
+ * @param {Object} profile - structure categorizing the terms for a profile
+ * @returns {Function} - validation function generated by Ajv
+ */
+function get_validator(profile) {
+    if (!validators.has(profile)) {
+        const schema = JSON.parse(JSON.stringify(manifest_schema));
+        if (profile.schema_properties) {
+            Object.assign(schema.properties, profile.schema_properties);
+        }
+        const ajv = new Ajv({ allErrors: true, jsonPointers: true });
+        validators.set(profile, ajv.compile(schema));
+    }
+    return validators.get(profile);
+}
+
+
+/**
+ * Validate the manifest against the schema; each violation is logged as an error, including
+ * the JSON pointer of the offending value.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {Object} manifest - the Manifest object (just parsed from JSON)
+ * @param {Object} profile - structure categorizing the terms for a profile
+ * @returns {boolean} - whether the manifest is valid
+ */
+function validate_manifest(logger, manifest, profile = core_profile) {
+    const validate = get_validator(profile);
+    if (validate(manifest)) {
+        return true;
+    }
+    validate.errors.forEach((error) => {
+        logger.assert(false, `(Schema validation) ${error.message}`, LogLevel.error, {
+            code : `schema-${error.keyword}`,
+            path : error.dataPath
+        });
+    });
+    return false;
+}
+
+
+/* =================================================================================== */
+
+module.exports = { validate_manifest, get_validator };
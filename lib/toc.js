@@ -0,0 +1,174 @@
+/**
+ * Extraction of the table of contents from an HTML document, per draft.
+ *
+ * The table of contents is identified by the element with the `doc-toc` role or, if there is none, by the first `<nav>`
+ * element of the document. The structure of the table of contents is then derived from the (possibly nested) lists of
+ * that element.
+ */
+
+'use strict';
+
+const url = require('url');
+const { LogLevel } = require('./utils');
+
+
+/* -------------------------------------- */
+/**
+ * Class representing one entry of the table of contents. The interface is based on the following WebIDL:
+ *
+ * <pre><code>
+ * dictionary TocEntry {
+ *              DOMString           name;
+ *              DOMString           url;
+ *              sequence<TocEntry>  entries;
+ * };
+ * </code></pre>
+ *
+ * The top level of the table of contents is also a TocEntry, although without a URL.
+ */
+class TocEntry {
+    /**
+     * Create a new TocEntry.
+     *
+     * @param {string} name - the (textual) name of the entry.
+     * @param {string} address - the absolute URL of the entry, if any.
+     * @param {TocEntry[]} entries - the sub-entries of this entry.
+     */
+    constructor(name, address, entries = []) {
+        this._name = name || undefined;
+        this._url = address || undefined;
+        this._entries = entries;
+    }
+
+    get name() { return this._name; }
+
+    get url() { return this._url; }
+
+    get entries() { return this._entries; }
+}
+
+
+/**
+ * Find the element in the document that contains the table of contents.
+ *
+ * @param {Document} document - the DOM Document node of the HTML document.
+ * @param {string} fragment - a fragment identifier (without the '#' character) pointing at the table of contents, if any.
+ * @returns {Element} the element; null if not found.
+ */
+function find_toc_element(document, fragment = '') {
+    if (fragment) {
+        const element = document.getElementById(fragment);
+        if (element) {
+            return element;
+        }
+    }
+    return document.querySelector('[role~="doc-toc"]') || document.querySelector('nav');
+}
+
+
+/**
+ * Get the `<li>` elements that make up a (sub)list of the table of contents: these are the `<li>` children of
+ * the element itself, or of the first `<ol>` or `<ul>` child of the element.
+ *
+ * @param {Element} element - the element containing the list.
+ * @returns {Element[]}
+ */
+function list_items(element) {
+    const is_item = (child) => child.tagName === 'LI';
+    const is_list = (child) => child.tagName === 'OL' || child.tagName === 'UL';
+    const children = Array.from(element.children);
+
+    if (children.some(is_item)) {
+        return children.filter(is_item);
+    }
+    const list = children.find(is_list);
+    return list ? Array.from(list.children).filter(is_item) : [];
+}
+
+
+/**
+ * Extract the table of contents from the relevant element of an HTML document.
+ *
+ * Each `<li>` element is turned into a TocEntry using its first `<a>` (or `<span>`) child for the name and URL. Relative URL-s
+ * are resolved against the base. Entries whose link cannot be resolved, or that have neither a link nor sub-entries, are
+ * ignored and reported through the logger.
+ *
+ * @param {Object} logger - logger for errors and warnings.
+ * @param {Element} toc_element - the element containing the table of contents.
+ * @param {string} base - the base URL (ie, the URL of the HTML document).
+ * @returns {TocEntry} the top level of the table of contents.
+ */
+function extract_toc(logger, toc_element, base) {
+    const get_text = (element) => element.textContent.replace(/\s+/g, ' ').trim();
+
+    const get_entry = (item) => {
+        const label = Array.from(item.children).find((child) => child.tagName === 'A' || child.tagName === 'SPAN');
+        const name = label ? get_text(label) : '';
+        const entries = get_entries(item);
+
+        let address;
+        if (label && label.tagName === 'A' && label.hasAttribute('href')) {
+            const href = label.getAttribute('href');
+            try {
+                address = (new url.URL(href, base)).href;
+            } catch (err) {
+                logger.assert(false, `"${href}": table of contents entry ("${name}") cannot be resolved`, LogLevel.warning, { code: 'toc-unresolvable-entry' });
+                return null;
+            }
+        }
+
+        const message = `Table of contents entry without a link ("${name}")`;
+        if (!logger.assert(address !== undefined || entries.length > 0, message, LogLevel.warning, { code: 'toc-entry-without-link' })) {
+            return null;
+        }
+        return new TocEntry(name, address, entries);
+    };
+
+    // The nested lists are children of the <li> element, hence the recursion
+    const get_entries = (element) => list_items(element).map(get_entry).filter((entry) => entry !== null);
+
+    // The name of the table of contents, if any, is the first heading
+    const heading = Array.from(toc_element.children).find((child) => /^H[1-6]$/.test(child.tagName));
+    return new TocEntry(heading ? get_text(heading) : undefined, undefined, get_entries(toc_element));
+}
+
+
+/**
+ * Get a (default) reading order from the table of contents of an HTML document: the list of the URL-s referred to by the
+ * `<a>` elements, in document order. The URL-s are resolved against the base and the fragment identifiers are removed;
+ * duplicate results are filtered out, in favor of the first occurrence of a value. Links that are not HTTP(S) (e.g., `mailto:`
+ * or `javascript:`) or whose origin differs from the one of the base are ignored; for a local (`file:`) base, only the links to
+ * local files are kept.
+ *
+ * @param {Element} toc_element - the element containing the table of contents.
+ * @param {string} base - the base URL (ie, the URL of the HTML document).
+ * @returns {string[]} list of absolute URL-s; empty array if no link is found.
+ */
+function extract_reading_order(toc_element, base) {
+    const origin = (address) => {
+        const parsed = url.parse(address);
+        return parsed.protocol === 'file:' ? 'file:' : `${parsed.protocol}//${parsed.host}`;
+    };
+    const base_origin = origin(base);
+    const acceptable = (address) => ['http:', 'https:', 'file:'].includes(url.parse(address).protocol) && origin(address) === base_origin;
+
+    return Array.from(toc_element.getElementsByTagName('a'))
+        .filter((anchor) => anchor.hasAttribute('href'))
+        .map((anchor) => {
+            const parsed = url.parse(url.resolve(base, anchor.getAttribute('href')));
+            parsed.hash = null;
+            return url.format(parsed);
+        })
+        .filter(acceptable)
+        .filter((address, index, all) => all.indexOf(address) === index);
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    TocEntry,
+    find_toc_element,
+    extract_toc,
+    extract_reading_order
+};
@@ -5,13 +5,13 @@
  */
 
 const { JSDOM }     = require('jsdom');
-const fetch         = require('node-fetch');
 const contentType   = require('content-type');
 const validUrl      = require('valid-url');
 const url           = require('url');
+const path          = require('path');
+const { default_loader, media_types } = require('./loaders');
+const { FetchFailed, ManifestLinkNotFound, EmbeddedManifestMissing } = require('./errors');
 
-const json_content_type = 'application/json';
-const html_content_type = 'text/html';
 
 /** Regexp used to check the validity (per BCP47) of a language tag */
 // eslint-disable-next-line max-len
@@ -39,7 +39,8 @@ cel-gaulish|no-bok|no-nyn|zh-guoyu|zh-hakka|zh-min|zh-min-nan|zh-xiang))|((?<lan
 *
 * The checks are as follows:
 *
-* 1. Check whether the protocol is http(s). Other protocols are not accepted (actually rejected by fetch, too);
+* 1. Check whether the protocol is http(s). Other protocols are not accepted (actually rejected by fetch, too), except for
+*    file URL-s if the base is itself a file URL (ie, for a publication processed locally);
 * 2. Run the URL through a valid-url check, which looks at the validity of the URL in terms of
 *    characters used, for example;
 * 3. Check that the port (if specified) is in the allowed range, ie, > 1024;
@@ -50,25 +51,31 @@ cel-gaulish|no-bok|no-nyn|zh-guoyu|zh-hakka|zh-min|zh-min-nan|zh-xiang))|((?<lan
 *
 * @param {string} address - the URL to be checked.
 * @param {Object} logger - if defined, it is used instead of a an exception
+* @param {string} base - the base URL of the publication, if relevant
 * @returns {string} - the URL itself (which might be slightly improved by the valid-url method) or null if this is, in fact, not a URL;
 *  if there is a logger message, it returns null.
 * @throws {exception} if it pretends to be a URL, but it is not acceptable for some reasons.
 */
-function check_url(address, logger = undefined) {
+function check_url(address, logger = undefined, base = undefined) {
     const parsed = url.parse(address);
     if (parsed.protocol === null) {
         // This is not a URL, should be used as a file name
         if (logger) {
-            logger.assert(false, `"${address}": Invalid URL: no protocol`, LogLevel.error);
+            logger.assert(false, `"${address}": Invalid URL: no protocol`, LogLevel.error, { code: 'url-no-protocol' });
             return null;
         }
         throw new Error(`"${address}": Invalid URL: no protocol`);
     }
 
+    // Local files are acceptable for local publications
+    if (parsed.protocol === 'file:' && base !== undefined && url.parse(base).protocol === 'file:') {
+        return address;
+    }
+
     // Check whether we use the right protocol
     if (['http:', 'https:'].includes(parsed.protocol) === false) {
         if (logger) {
-            logger.assert(false, `"${address}": URL is not dereferencable`, LogLevel.error);
+            logger.assert(false, `"${address}": URL is not dereferencable`, LogLevel.error, { code: 'url-not-dereferencable' });
             return null;
         }
         throw new Error(`"${address}": URL is not dereferencable`);
@@ -78,7 +85,7 @@ function check_url(address, logger = undefined) {
     const retval = validUrl.isWebUri(address);
     if (retval === undefined) {
         if (logger) {
-            logger.assert(false, `"${address}": the URL isn't valid`, LogLevel.error);
+            logger.assert(false, `"${address}": the URL isn't valid`, LogLevel.error, { code: 'url-invalid' });
             return null;
         }
         throw new Error(`"${address}": the URL isn't valid`);
@@ -87,7 +94,7 @@ function check_url(address, logger = undefined) {
     // Check the port
     if (parsed.port !== null && parsed.port <= 1024) {
         if (logger) {
-            logger.assert(false, `"${address}": Unsafe port number used in URL (${parsed.port})`, LogLevel.warning);
+            logger.assert(false, `"${address}": Unsafe port number used in URL (${parsed.port})`, LogLevel.warning, { code: 'url-unsafe-port' });
         } else {
             throw new Error(`"${address}": Unsafe port number used in URL (${parsed.port})`);
         }
@@ -98,65 +105,183 @@ function check_url(address, logger = undefined) {
 
 
 /**
- * Get Web resource via a fetch. There is a sanity (security) check on the URL to avoid possible security errors.
+ * Turn a reference to a resource into a URL: a URL is returned unchanged, whereas a file name (relative to the current
+ * directory or absolute) is turned into a file URL.
+ *
+ * @param {string} reference - URL or file name
+ * @return {string} - URL
+ */
+function to_url(reference) {
+    const parsed = url.parse(reference);
+    // Note that a Windows path, like 'C:\dir', is parsed as having a (single letter) protocol...
+    if (parsed.protocol === null || /^[a-zA-Z]:$/.test(parsed.protocol)) {
+        return url.pathToFileURL(path.resolve(reference)).href;
+    }
+    return reference;
+}
+
+
+/**
+ * Get a resource through a loader (see the `loaders` module). There is a sanity (security) check on the URL to avoid possible
+ * security errors, and the content type returned by the loader, if known, is checked against the acceptable media types
+ * for the kind of resource (see `media_types` in the `loaders` module).
+ *
+ * The resource may also be a local file, referred to by a file URL or a file name. However, a resource referred to from
+ * another document (e.g., a manifest linked from a primary entry page) may be a local file only if the referring document
+ * is itself a local file; otherwise a remote document could make the processor disclose local files.
+ *
+ * Several kinds may be accepted; the kind of the resource is then decided by its content type or, if the content type is
+ * unknown, by the content itself (a JSON resource starts with '{' or '[').
  *
  * @async
  * @param {string} resource_url - The URL of the resource to be fetched
- * @param {string} content_type - Expected content. Default is JSON (ie, application/json).
- *    Accepted values are HTML, and JSON (including the 'derivatives', ie, application/XXX+json)
- * @return {Promise} encapsulating the body of the resource. The appropriate parsing should be done by the caller
+ * @param {(string|string[])} kind - Kind(s) of the resource, ie, key(s) in the media types table: 'html' or 'json' (default).
+ * @param {Object} loader - the resource loader; default is the loader using HTTP(S) and the local file system.
+ * @param {Object} logger - if defined, it is used for warnings on tolerated media types.
+ * @param {string} base - the URL of the referring document, if any; undefined if the resource is retrieved directly (e.g., on
+ *   the user's request).
+ * @return {Promise} encapsulating the response of the loader, ie, an object with `body`, `url`, `content_type`, and `headers`, as well
+ *    as the `kind` of the resource. The appropriate parsing of the body should be done by the caller
+ * @throws {FetchFailed} if the resource cannot be retrieved or if it is not acceptable
  */
-async function fetch_resource(resource_url, content_type = json_content_type) {
-    const base_content_type = (typ) => {
-        const [major, minor] = contentType.parse(typ).type.split('/');
-        const extras = minor.split('+');
-        return extras.length === 1 ? `${major}/${minor}` : `${major}/${extras[1]}`;
-    };
+async function fetch_resource(resource_url, kind = 'json', loader = default_loader, logger = undefined, base = undefined) {
+    const kinds = Array.isArray(kind) ? kind : [kind];
+    const table = loader.media_types || media_types;
+    const accepted = kinds.reduce((all, current) => [...all, ...table[current].accepted], []);
 
-    // If there is a problem, an exception is raised
-    return new Promise((resolve, reject) => {
-        // This is a real URL, whose content must be accessed via HTTP(S)
-        try {
-            // An exception is raised if the URL has security/sanity issues.
-            const final_url = check_url(resource_url);
-            fetch(final_url)
-                .then((response) => {
-                    if (response.ok) {
-                        if (base_content_type(response.headers.get('content-type')) === content_type) {
-                            resolve(response.text());
-                        } else {
-                            reject(new Error(`${content_type} is expected`));
-                        }
-                    } else {
-                        reject(new Error(`HTTP response ${response.status}: ${response.statusText}`));
-                    }
-                })
-                .catch((err) => {
-                    reject(new Error(`Problem accessing ${final_url}: ${err}`));
-                });
-        } catch (err) {
-            reject(err);
+    const resource = to_url(resource_url);
+    let final_url;
+    try {
+        // An exception is raised if the URL has security/sanity issues; local files are accepted as they are, unless
+        // they are referred to from a remote document
+        final_url = url.parse(resource).protocol === 'file:' && base === undefined ? resource : check_url(resource, undefined, base);
+    } catch (err) {
+        throw new FetchFailed(err.message, 'fetch-invalid-url', resource);
+    }
+
+    let response;
+    try {
+        response = await loader.load(final_url, accepted.join(', '));
+    } catch (err) {
+        // User defined loaders may raise any kind of errors
+        throw err instanceof FetchFailed ? err : new FetchFailed(err.message, 'fetch-failed', final_url);
+    }
+
+    if (response.content_type === undefined) {
+        const looks_like_json = kinds.includes('json') && /^\s*[{[]/.test(response.body);
+        return Object.assign({}, response, { kind: looks_like_json ? 'json' : kinds[0] });
+    }
+
+    let type;
+    try {
+        ({ type } = contentType.parse(response.content_type));
+    } catch (err) {
+        throw new FetchFailed(`${final_url}: invalid media type "${response.content_type}"`, 'fetch-invalid-media-type', final_url);
+    }
+    const accepted_kind = kinds.find((current) => table[current].accepted.includes(type) || (current === 'json' && type.endsWith('+json')));
+    if (accepted_kind !== undefined) {
+        return Object.assign({}, response, { kind: accepted_kind });
+    }
+    const tolerated_kind = kinds.find((current) => table[current].tolerated.includes(type));
+    if (tolerated_kind !== undefined) {
+        if (logger) {
+            const message = `${final_url}: media type "${type}" is tolerated, but should be one of ${table[tolerated_kind].accepted.join(', ')}`;
+            logger.assert(false, message, LogLevel.warning, { code: 'fetch-tolerated-media-type' });
         }
-    });
+        return Object.assign({}, response, { kind: tolerated_kind });
+    }
+    const message = `${final_url}: media type "${type}" is not acceptable (should be one of ${accepted.join(', ')})`;
+    throw new FetchFailed(message, 'fetch-invalid-media-type', final_url);
 }
 
 
+/** Response headers of the HTML documents retrieved via `fetch_html`; see `response_headers` */
+const fetched_headers = new WeakMap();
+
+
 /*
  * Fetch an HTML file
  *
  * @async
- * @param {string} html_url - URL to be fetched
- * @return {DOM} - DOM tree object for the HTML content; null if something is not correct (and a warning is issued)
+ * @param {string} html_url - URL to be fetched; it may also be a file name
+ * @param {Object} loader - the resource loader; default is the loader using HTTP(S) and the local file system.
+ * @param {Object} logger - if defined, it is used for warnings on tolerated media types.
+ * @param {string} base - the URL of the referring document, if any (see `fetch_resource`)
+ * @return {DOM} - DOM tree object for the HTML content
+ * @throws {FetchFailed} if the HTML file cannot be retrieved
  */
-async function fetch_html(html_url) {
-    try {
-        const body = await fetch_resource(html_url, html_content_type);
-        const retval = new JSDOM(body, { url: html_url });
-        return retval;
-    } catch (err) {
-        console.warn(`HTML parsing error in ${html_url}: ${err}`);
-        return null;
+async function fetch_html(html_url, loader = default_loader, logger = undefined, base = undefined) {
+    const response = await fetch_resource(html_url, 'html', loader, logger, base);
+    return html_dom(response);
+}
+
+
+/*
+ * Create the DOM of an HTML document from the response of a loader.
+ *
+ * @param {Object} response - the response of a loader, with the `body`, `url`, and `headers` of the document
+ * @return {DOM} - DOM tree object for the HTML content
+ */
+function html_dom(response) {
+    // The URL of the document must be set properly, so that relative URL-s are resolved against it;
+    // the node locations are used to locate the embedded manifest in the source
+    const retval = new JSDOM(response.body, { url: response.url, includeNodeLocations: true });
+    // The response headers may also refer to the manifest (see `obtain_manifest`)
+    fetched_headers.set(retval, response.headers || {});
+    return retval;
+}
+
+
+/*
+ * Fetch a publication, ie, either an HTML primary entry page or a (standalone) JSON manifest; the type of
+ * the resource is decided by its content type or, if unknown, by its content.
+ *
+ * @async
+ * @param {string} resource_url - URL to be fetched; it may also be a file name
+ * @param {Object} loader - the resource loader; default is the loader using HTTP(S) and the local file system.
+ * @param {Object} logger - if defined, it is used for warnings on tolerated media types.
+ * @return {Object} - `{ dom }` for a primary entry page, `{ manifest_text, url }` for a manifest (where `url` is the final URL of the manifest)
+ * @throws {FetchFailed} if the resource cannot be retrieved
+ */
+async function fetch_publication(resource_url, loader = default_loader, logger = undefined) {
+    const response = await fetch_resource(resource_url, ['html', 'json'], loader, logger);
+    if (response.kind === 'json') {
+        return { manifest_text: response.body, url: response.url };
+    }
+    return { dom: html_dom(response) };
+}
+
+/**
+ * Get the HTTP response headers of an HTML document.
+ *
+ * @param {JSDOM} dom - the DOM of the HTML document, as returned by `fetch_html`
+ * @return {Object} - response headers (lower case header names mapped to values); empty object if not known
+ */
+function response_headers(dom) {
+    return fetched_headers.get(dom) || {};
+}
+
+
+/**
+ * Parse the value of an HTTP Link header (see RFC 8288).
+ *
+ * @param {string} value - the value of the header; several headers may be combined, separated by commas
+ * @return {Object[]} - list of links, each with an `href` (as it appears in the header) and a `rel` array of (lower case) tokens
+ */
+function parse_link_header(value) {
+    const links = [];
+    const link_pattern = /<([^>]*)>([^<]*)/g;
+    const rel_pattern = /;\s*rel\s*=\s*(?:"([^"]*)"|([^\s;,]+))/i;
+    let match = link_pattern.exec(value);
+    while (match !== null) {
+        const rel = rel_pattern.exec(match[2]);
+        links.push({
+            href : match[1].trim(),
+            rel  : rel ? (rel[1] || rel[2]).toLowerCase().split(/\s+/).filter((token) => token !== '') : []
+        });
+        match = link_pattern.exec(value);
     }
+    return links;
 }
 
 
@@ -165,18 +290,16 @@ async function fetch_html(html_url) {
  * (as opposed to the HTML fetch), but that is how the processing steps are formulated.
  *
  * @async
- * @param {string} json_url - URL to be fetched
- * @return {string} - JSON content; "{}" if something is not correct (and a warning is issued)
+ * @param {string} json_url - URL to be fetched; it may also be a file name
+ * @param {Object} loader - the resource loader; default is the loader using HTTP(S) and the local file system.
+ * @param {Object} logger - if defined, it is used for warnings on tolerated media types.
+ * @param {string} base - the URL of the referring document, if any (see `fetch_resource`)
+ * @return {string} - JSON content
+ * @throws {FetchFailed} if the JSON file cannot be retrieved
  */
-async function fetch_json(json_url) {
-    try {
-        const body = await fetch_resource(json_url, json_content_type);
-        return body;
-    } catch (err) {
-        // console.warn(`JSON parsing error in ${json_url}: ${err}`);
-        console.warn(`JSON fetch error in ${json_url}: ${err}`);
-        return '{}';
-    }
+async function fetch_json(json_url, loader = default_loader, logger = undefined, base = undefined) {
+    const response = await fetch_resource(json_url, 'json', loader, logger, base);
+    return response.body;
 }
 
 
@@ -201,58 +324,207 @@ function get_attr(start, term) {
 }
 
 
+/*
+ * Minor helper function on DOM manipulation: find the (possibly inherited) value of an attribute, like `get_attr`, and
+ * describe where the value comes from. Typical usage is to find the language or the direction of an element.
+ *
+ * @param {DOMElementNode} start - the element to start with
+ * @param {string} term - the attribute name
+ * @return {Object} - the attribute `value` and its `source` (e.g., "the <html> element"); both are null if not found.
+ */
+function find_inherited_attr(start, term) {
+    const root = start.ownerDocument.documentElement;
+    for (let element = start; element !== null; element = element.parentElement) {
+        const value = element.getAttribute(term);
+        if (value !== null && value.trim() !== '') {
+            let source;
+            if (element === start) {
+                source = `the <${element.localName}> element`;
+            } else if (element === root) {
+                source = 'the <html> element';
+            } else {
+                source = `the <${element.localName}> ancestor element`;
+            }
+            return { value: value.trim(), source };
+        }
+    }
+    return { value: null, source: null };
+}
+
+
+/*
+ * Get the language from a Content-Language HTTP header. The header may list several languages; the value is used
+ * only if there is a single one.
+ *
+ * @param {Object} headers - HTTP response headers
+ * @return {string} the language tag; null if there is none, or if there are several ones
+ */
+function content_language(headers) {
+    const value = headers['content-language'];
+    if (value === undefined) {
+        return null;
+    }
+    const languages = value.split(',').map((tag) => tag.trim()).filter((tag) => tag !== '');
+    return languages.length === 1 ? languages[0] : null;
+}
+
+
+/*
+ * Minor helper function on DOM manipulation: get the position (line and column) of the text content of an
+ * element in the HTML source. This is possible only if the DOM has been created with node locations.
+ *
+ * @param {JSDOM} dom - the DOM of the HTML document
+ * @param {DOMElementNode} element - the element whose text content is to be located
+ * @return {Object} - object with `line` and `column` (both starting with 1); the start of the source if the location is unknown.
+ */
+function get_text_position(dom, element) {
+    try {
+        const location = dom.nodeLocation(element.firstChild);
+        return { line: location.line, column: location.col };
+    } catch (err) {
+        return { line: 1, column: 1 };
+    }
+}
+
+
 /**
  * Obtain the manifest starting with the DOM of the primary entry page. This function retrieves the manifest (either from a
  * script element of fetching a separate file), and calls out to the "process_manifest" function to make the full conversion.
  *
  * @async
  * @param {JSDOM} dom - the DOM of the primary entry page
- * @return {Object} - object with entries describing the manifest: `manifest_text`, `base`, `dom`, `lang`, and `dir`.
+ * @param {Object} loader - the resource loader used to fetch a separate manifest file; default is the loader using HTTP(S) and the local file system.
+ * @param {Object} logger - if defined, it is used for warnings on tolerated media types and on multiple manifest references.
+ * @param {Object} headers - HTTP response headers of the primary entry page; default is the headers of the response if `dom` was
+ *   created by `fetch_html`.
+ * @return {Object} - object with entries describing the manifest: `manifest_text`, `base`, `dom`, `lang`, `dir`, `source`
+ *   (ie, the URL of the file containing the manifest text) and `text_position` (ie, the line and column of the manifest
+ *   text in its source); the latter two are used to locate the diagnostics. The `lang_source` and `dir_source` entries
+ *   describe where the default language and direction come from (null if not set).
+ *
+ * The default language and direction are inherited. For an embedded manifest, they are those of the `<script>` element,
+ * of its ancestor elements (ending with `<html>`) or, for the language, the Content-Language header of the primary entry page.
+ * For a separate manifest file, the language is the one in the Content-Language header of the manifest response or, failing
+ * that, the language and the direction are those of the linking `<link>` element (or its ancestors) or, for the language,
+ * the Content-Language header of the primary entry page.
+ * @throws {ManifestLinkNotFound} if the primary entry page does not refer to a manifest
+ * @throws {EmbeddedManifestMissing} if the embedded manifest the primary entry page refers to does not exist
+ * @throws {FetchFailed} if the separate manifest file cannot be retrieved
  */
-async function obtain_manifest(dom) {
-    try {
-        const origin = dom.window.document.location.href;
+async function obtain_manifest(dom, loader = default_loader, logger = undefined, headers = response_headers(dom)) {
+    const document = dom.window.document;
+    const origin = document.location.href;
+    const is_publication = (rel) => rel.toLowerCase().split(/\s+/).includes('publication');
+
+    // Collect the references to the manifest: link elements (whose rel tokens must match exactly) and HTTP Link headers
+    const publication_links = Array.from(document.querySelectorAll('link[rel][href]'))
+        .filter((link) => is_publication(link.getAttribute('rel')));
+    const link_elements = publication_links.map((link) => link.href);
+    const link_headers = parse_link_header(headers.link || '')
+        .filter((link) => link.rel.includes('publication'))
+        .map((link) => url.resolve(origin, link.href));
+    const references = [...link_elements, ...link_headers].filter((ref, index, all) => all.indexOf(ref) === index);
+
+    if (references.length === 0) {
+        // No manifest reference!
+        throw new ManifestLinkNotFound(origin);
+    }
+    if (logger) {
+        const message = `Multiple manifest references found in ${origin} (${references.join(', ')}); the first one is used`;
+        logger.assert(references.length === 1, message, LogLevel.warning, { code: 'multiple-manifest-links' });
+    }
+    const manifest_url = references[0];
+    const parsed_manifest_url = url.parse(manifest_url);
+
+    // Major branch at this place, depending on whether this is a local reference or not...
+    const manifest_data = {
+        manifest_text : '',
+        base          : '',
+        dom,
+        lang          : null,
+        dir           : null,
+        lang_source   : null,
+        dir_source    : null,
+        source        : origin,
+        text_position : { line: 1, column: 1 }
+    };
 
-        // Find the link element that returns the reference to the manifest
-        const link = dom.window.document.querySelector('link[rel*="publication"]');
-        if (!link) {
-            // No manifest reference!
-            throw new Error(`No manifest reference found in ${origin}`);
-        }
-        const ref = link.getAttribute('href');
-
-        // Major branch at this place, depending on whether this is a local reference or not...
-        const manifest_data = {
-            manifest_text : '',
-            base          : '',
-            dom,
-            lang          : null,
-            dir           : null
-        };
-        if (ref[0] === '#') {
-            // The manifest ought to be local in the file
-            const script = dom.window.document.querySelector(`script${ref}`);
-            if (script) {
-                manifest_data.manifest_text = script.text;
-                manifest_data.base = script.baseURI;
-                manifest_data.lang = script.getAttribute('lang');
-                manifest_data.dir = script.getAttribute('dir');
-                // manifest_data.lang = get_attr(script, 'lang');
-                // manifest_data.dir = get_attr(script, 'dir');
-            } else {
-                throw new Error(`Manifest at ${link.href} not found`);
+    // Set the default language and direction from the (inherited) attributes of an element, unless already set
+    const inherit_from = (element) => {
+        ['lang', 'dir'].forEach((term) => {
+            if (manifest_data[term] === null) {
+                const { value, source } = find_inherited_attr(element, term);
+                manifest_data[term] = value;
+                manifest_data[`${term}_source`] = source;
             }
+        });
+    };
+    // Set the default language from a Content-Language header, unless already set
+    const language_from = (header_values, source) => {
+        if (manifest_data.lang === null) {
+            manifest_data.lang = content_language(header_values);
+            manifest_data.lang_source = manifest_data.lang === null ? null : source;
+        }
+    };
+
+    if (parsed_manifest_url.hash && url.resolve(manifest_url, '#') === url.resolve(origin, '#')) {
+        // The manifest ought to be local in the file
+        const script = document.getElementById(decodeURIComponent(parsed_manifest_url.hash.slice(1)));
+        if (script && script.tagName === 'SCRIPT') {
+            manifest_data.manifest_text = script.text;
+            manifest_data.base = script.baseURI;
+            manifest_data.text_position = get_text_position(dom, script);
+            inherit_from(script);
+            language_from(headers, `the Content-Language header of ${origin}`);
         } else {
-            // The manifest file must be fetched
-            // Note that the 'href' attributes takes care of the possible relative URL-s, which is handy...
-            manifest_data.manifest_text = await fetch_json(link.href);
-            manifest_data.base = link.href;
-            // manifestObject = process_manifest(manifest_text, dom, link.href);
+            throw new EmbeddedManifestMissing(manifest_url);
         }
-        return manifest_data;
-    } catch (err) {
-        console.warn(`Manifest processing error: ${err.message}`);
+    } else {
+        // The manifest file must be fetched
+        // Note that the references have already been resolved against the URL of the primary entry page
+        const response = await fetch_resource(manifest_url, 'json', loader, logger, origin);
+        manifest_data.manifest_text = response.body;
+        manifest_data.base = manifest_url;
+        manifest_data.source = manifest_url;
+        language_from(response.headers || {}, `the Content-Language header of ${manifest_url}`);
+
+        // The linking document provides the defaults otherwise
+        inherit_from(publication_links.find((link) => link.href === manifest_url) || document.documentElement);
+        language_from(headers, `the Content-Language header of ${origin}`);
     }
+    return manifest_data;
+}
+
+
+/**
+ * The manifest terms searched for the resources with a specific (short) rel value, in order of precedence (see `resources_with_rel`).
+ */
+const rel_search_terms = {
+    contents               : ['readingOrder', 'resources'],
+    cover                  : ['resources', 'readingOrder'],
+    'accessibility-report' : ['links', 'resources'],
+    'privacy-policy'       : ['links', 'resources']
+};
+
+
+/**
+ * Helper function: find the resources of a manifest with a specific `rel` value. The value may be used as a short term
+ * (e.g., "contents") or in the full form within the WP namespace (e.g., "https://www.w3.org/ns/wp#contents").
+ *
+ * The manifest may be the original one (just parsed from JSON, ie, the values may be strings, objects, or arrays thereof),
+ * the canonical manifest, or a WebPublicationManifest object.
+ *
+ * @param {Object} manifest - the manifest
+ * @param {string} rel_value - the (short) rel value to look for; one of the keys of `rel_search_terms`
+ * @return {Object[]} - the resources with that rel value (possibly an empty array)
+ */
+function resources_with_rel(manifest, rel_value) {
+    const rel_values = [rel_value, `https://www.w3.org/ns/wp#${rel_value}`];
+    return rel_search_terms[rel_value]
+        .map((term) => (manifest[term] === undefined ? [] : [].concat(manifest[term])))
+        .reduce((all, resources) => [...all, ...resources], [])
+        .filter((resource) => resource !== null && typeof resource === 'object' && resource.rel !== undefined)
+        .filter((resource) => [].concat(resource.rel).some((rel) => rel_values.includes(rel)));
 }
 
 
@@ -282,28 +554,80 @@ const LogLevel = Object.freeze({
     warning : Symbol('warning'),
     error   : Symbol('error')
 });
+
+/**
+ * One diagnostic (error or warning) recorded by the logger.
+ *
+ * The `path` is the JSON pointer of the offending value in the manifest (e.g., "/author/1/name"), if known; the `line` and `column`
+ * (both starting with 1) locate that value in the original source, ie, in the HTML file if the manifest is embedded.
+ */
+class Diagnostic {
+    /**
+     * @param {string} code - stable identifier of the type of the diagnostic (e.g., "invalid-language-tag").
+     * @param {Symbol} level - either LogLevel.warning or LogLevel.error
+     * @param {string} message - human readable message.
+     * @param {string} pointer - JSON pointer of the offending value; undefined if not applicable.
+     * @param {Object} position - `line` and `column` of the offending value; undefined if not known.
+     */
+    constructor(code, level, message, pointer = undefined, position = undefined) {
+        this.code = code;
+        this.severity = level === LogLevel.error ? 'error' : 'warning';
+        this.message = message;
+        this.path = pointer;
+        this.line = position ? position.line : undefined;
+        this.column = position ? position.column : undefined;
+    }
+
+    /**
+     * @returns {string} the message, followed by the location, if known.
+     */
+    toString() {
+        const location = [];
+        if (this.path !== undefined) {
+            location.push(`at "${this.path}"`);
+        }
+        if (this.line !== undefined) {
+            location.push(`line ${this.line}, column ${this.column}`);
+        }
+        return location.length === 0 ? this.message : `${this.message} (${location.join('; ')})`;
+    }
+}
+
 class Logger {
     constructor() {
         this._warnings = [];
         this._errors = [];
+        this._path = [];
+        this._pointers = undefined;
+        this._text_position = { line: 1, column: 1 };
+        this._source = undefined;
     }
 
     /**
      * Assertion that should lead to a log the message if false.
      *
+     * The `details` may contain:
+     * - `code`: the stable identifier of the diagnostic (default: "generic");
+     * - `path`: the JSON pointer of the offending value (default: the current path, see `with_path`);
+     * - `position`: explicit `line` and `column` (default: calculated from the path, see `set_source_map`).
+     *
      * @param {boolean} condition - the condition that decides whether the message should be logged
      * @param {string} message - the message that should be logged, possibly, in case the condition is false
      * @param {Symbol} level - either LogLevel.warning or LogLevel.error
+     * @param {Object} details - additional information on the diagnostic.
      * @returns {boolean}
      */
-    assert(condition, message, level) {
+    assert(condition, message, level, details = {}) {
         if (!condition) {
+            const pointer = details.path !== undefined ? details.path : this.path;
+            const position = details.position || this.position(pointer);
+            const diagnostic = new Diagnostic(details.code || 'generic', level, message, pointer, position);
             switch (level) {
                 case LogLevel.error:
-                    this._errors.push(message);
+                    this._errors.push(diagnostic);
                     break;
                 case LogLevel.warning:
-                    this._warnings.push(message);
+                    this._warnings.push(diagnostic);
                     break;
                 default:
                     break;
@@ -313,12 +637,87 @@ class Logger {
     }
 
     /**
-     * @returns {string[]} all the warnings.
+     * Run a function with a path segment added to the current path; the diagnostics logged
+     * in the meantime refer, by default, to that path.
+     *
+     * @param {(string|number)} segment - a term or an array index
+     * @param {Function} func - the function to run
+     * @returns {*} the result of the function
+     */
+    with_path(segment, func) {
+        this._path.push(`${segment}`.replace(/~/g, '~0').replace(/\//g, '~1'));
+        try {
+            return func();
+        } finally {
+            this._path.pop();
+        }
+    }
+
+    /**
+     * @returns {string} the current path as a JSON pointer; undefined if no path has been set.
+     */
+    get path() {
+        return this._path.length === 0 ? undefined : `/${this._path.join('/')}`;
+    }
+
+    /**
+     * Set the source map of the manifest, used to locate the diagnostics.
+     *
+     * @param {Object} pointers - mapping of JSON pointers to positions, as produced by the `json-source-map` package (lines and columns starting with 0).
+     * @param {Object} text_position - the `line` and `column` (starting with 1) of the manifest text in its source.
+     * @param {string} source - the URL of the source, ie, the file containing the manifest text.
+     */
+    set_source_map(pointers, text_position = { line: 1, column: 1 }, source = undefined) {
+        this._pointers = pointers;
+        this._text_position = text_position;
+        this._source = source;
+    }
+
+    /**
+     * @returns {string} the URL of the file containing the manifest, if known.
+     */
+    get source() { return this._source; }
+
+    /**
+     * Get the position of a value in the source. If the pointer itself does not exist in the source
+     * (e.g., it refers to a value created by the canonicalization) the position of the closest ancestor is used.
+     *
+     * @param {string} json_pointer - JSON pointer
+     * @returns {Object} - `line` and `column` of the value (starting with 1); undefined if not known
+     */
+    position(json_pointer) {
+        if (json_pointer === undefined || this._pointers === undefined) {
+            return undefined;
+        }
+        let pointer = json_pointer;
+        while (this._pointers[pointer] === undefined && pointer !== '') {
+            pointer = pointer.slice(0, pointer.lastIndexOf('/'));
+        }
+        const entry = this._pointers[pointer];
+        return entry === undefined ? undefined : this.text_position(entry.value.line, entry.value.column);
+    }
+
+    /**
+     * Convert a position in the manifest text into a position in the source.
+     *
+     * @param {number} line - line in the manifest text, starting with 0
+     * @param {number} column - column in the manifest text, starting with 0
+     * @returns {Object} - `line` and `column` in the source (starting with 1)
+     */
+    text_position(line, column) {
+        return {
+            line   : this._text_position.line + line,
+            column : line === 0 ? this._text_position.column + column : column + 1
+        };
+    }
+
+    /**
+     * @returns {Diagnostic[]} all the warnings.
      */
     get warnings() { return this._warnings; }
 
     /**
-     * @returns {string[]} all the errors.
+     * @returns {Diagnostic[]} all the errors.
      */
     get errors() { return this._errors; }
 
@@ -349,11 +748,20 @@ class Logger {
         return `${this.warnings_toString()}\n${this.errors_toString()}`;
     }
 
+    /**
+     * JSON version of the logger: the diagnostics only, without the source map and the processing state.
+     *
+     * @returns {Object} - object with the `errors` and the `warnings`
+     */
+    toJSON() {
+        return { errors: this.errors, warnings: this.warnings };
+    }
+
     /**
      * Generate a string for a category of messages.
      *
      * @static
-     * @param {string[]} messages - set of messages to display.
+     * @param {Diagnostic[]} messages - set of messages to display.
      * @param {string} start - a text preceding the previous.
      * @returns {string}
      */
@@ -374,12 +782,18 @@ class Logger {
 
 module.exports = {
     check_url,
+    to_url,
     get_attr,
     condClone,
     Logger,
     LogLevel,
+    Diagnostic,
     bcppattern,
     fetch_html,
     fetch_json,
-    obtain_manifest
+    fetch_publication,
+    response_headers,
+    parse_link_header,
+    obtain_manifest,
+    resources_with_rel
 };
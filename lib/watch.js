@@ -0,0 +1,148 @@
+/**
+ * Watch mode: re-process a publication whenever one of its local files (entry page, manifest, table of contents,
+ * resources) changes, and report the differences in the diagnostics compared with the previous run.
+ */
+
+'use strict';
+
+const url = require('url');
+const fs  = require('fs');
+
+/** Polling interval for the watched files, in milliseconds */
+const watch_interval = 300;
+
+/** Delay before re-processing, in milliseconds; several changes in a row (e.g., an editor saving several files) result in one run */
+const watch_delay = 200;
+
+
+/**
+ * Key identifying a diagnostic across runs. The line and column are not part of the key: editing the file usually
+ * moves the positions of the unrelated diagnostics, too.
+ *
+ * @param {Diagnostic} diagnostic
+ * @return {string}
+ */
+function diagnostic_key(diagnostic) {
+    return `${diagnostic.severity}|${diagnostic.code}|${diagnostic.path}|${diagnostic.message}`;
+}
+
+
+/**
+ * Compare the diagnostics of two runs.
+ *
+ * @param {Diagnostic[]} previous - the diagnostics of the previous run
+ * @param {Diagnostic[]} current - the diagnostics of the current run
+ * @return {Object} - `added` (ie, new issues) and `removed` (ie, fixed issues) diagnostics
+ */
+function diff_diagnostics(previous, current) {
+    const previous_keys = previous.map(diagnostic_key);
+    const current_keys = current.map(diagnostic_key);
+    return {
+        added   : current.filter((diagnostic, index) => !previous_keys.includes(current_keys[index])),
+        removed : previous.filter((diagnostic, index) => !current_keys.includes(previous_keys[index]))
+    };
+}
+
+
+/**
+ * Get the local files among a list of URL-s.
+ *
+ * @param {string[]} urls - list of URL-s
+ * @return {string[]} the file names of the file URL-s (without duplicates)
+ */
+function local_files(urls) {
+    return urls
+        .filter((address) => typeof address === 'string' && url.parse(address).protocol === 'file:')
+        .map((address) => {
+            const parsed = url.parse(address);
+            parsed.hash = null;
+            return url.fileURLToPath(url.format(parsed));
+        })
+        .filter((file, index, all) => all.indexOf(file) === index);
+}
+
+
+/**
+ * Watcher of a set of files: the callback is invoked (once) after some of the files have changed. The set of watched files
+ * can be changed at any time, e.g., when a new version of the manifest refers to different resources.
+ */
+class Watcher {
+    /**
+     * @param {Function} on_change - function invoked with the list of changed files
+     */
+    constructor(on_change) {
+        this._on_change = on_change;
+        this._files = [];
+        this._changed = [];
+        this._timer = null;
+        this._listeners = new Map();
+    }
+
+    /**
+     * @return {string[]} the watched files
+     */
+    get files() { return this._files; }
+
+    /**
+     * Set the files to be watched; the files not in the list are not watched anymore.
+     *
+     * @param {string[]} files - list of file names
+     */
+    watch(files) {
+        this._files.filter((file) => !files.includes(file)).forEach((file) => {
+            fs.unwatchFile(file, this._listeners.get(file));
+            this._listeners.delete(file);
+        });
+        files.filter((file) => !this._files.includes(file)).forEach((file) => {
+            const listener = (current, previous) => {
+                if (current.mtimeMs !== previous.mtimeMs) {
+                    this._changed_file(file);
+                }
+            };
+            this._listeners.set(file, listener);
+            fs.watchFile(file, { interval: watch_interval }, listener);
+        });
+        this._files = [...files];
+    }
+
+    /**
+     * Stop watching all files.
+     */
+    close() {
+        this.watch([]);
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+            this._timer = null;
+        }
+    }
+
+    /**
+     * Record a change; the callback is invoked after a short delay, to collect all the changes made together.
+     *
+     * @param {string} file - the changed file
+     */
+    _changed_file(file) {
+        if (!this._changed.includes(file)) {
+            this._changed.push(file);
+        }
+        if (this._timer !== null) {
+            clearTimeout(this._timer);
+        }
+        this._timer = setTimeout(() => {
+            const changed = this._changed;
+            this._changed = [];
+            this._timer = null;
+            this._on_change(changed);
+        }, watch_delay);
+    }
+}
+
+
+/* =================================================================================== */
+
+module.exports = {
+    diagnostic_key,
+    diff_diagnostics,
+    local_files,
+    Watcher
+};
@@ -2,75 +2,26 @@
 
 'use strict';
 
-const url              = require('url');
-const path             = require('path');
-const { fetch_html }   = require('./lib/utils');
-const { get_manifest } = require('./lib/process');
+const url                                                    = require('url');
+const fs                                                     = require('fs');
+const { fetch_publication, to_url, Logger, LogLevel }          = require('./lib/utils');
+const { get_manifest, get_manifest_from_json, ProcessingMode } = require('./lib/process');
+const { report, report_formats }                               = require('./lib/report');
+const { DefaultLoader, CachingLoader }                         = require('./lib/loaders');
+const { get_profile, profile_names }                           = require('./lib/profiles');
+const { register_profile_file }                                = require('./lib/profile_files');
+const {
+    TimingLoader,
+    collect_inputs,
+    run_batch,
+    batch_report_text,
+    batch_report_json
+} = require('./lib/batch');
+const { diff_diagnostics, local_files, Watcher } = require('./lib/watch');
+const { rdf_formats, expand_manifest, serialize_manifest } = require('./lib/rdf');
 
-/* ------------------------------------------------------------------------------ */
-//                    Local helper to turn local file names into URL-s...
-/* ------------------------------------------------------------------------------ */
-
-/* Localhost setups */
-const PORT    = '8001';
-const SCHEME  = 'http';
-const HOST    = 'localhost';
-
-// Filename for the server root
-const top               = '/Users/ivan/W3C/WWW';
-
-// github area as a real directory
-const slink_target      = '/Users/ivan/W3C/github/';
-
-// the symbolic link under root to github
-const slink_replacement = 'LocalData/github/';
-
-
-/**
- * Helper function to test stuff locally; this is not necessary for production.
- * The goal is to turn a possible local filename into a localhost URL, so that the
- * rest of the library works only with proper URLs at every step.
- *
- * The setup is a bit tainted with my local setup that also has a symbolic link from
- * my local web server's top to the github area (that is elsewhere on my disc),
- * ie, a separate check is necessary to turn this symbolic link into the proper URL.
- *
- * @param base: the file name of the node.js script running the tests, serving as a base for relative filenames
- * @param arg: the argument denoting the test file
- * @return: URL string
- */
-function getURL(base, arg) {
-    if (arg === undefined) {
-        throw new Error('No argument...');
-    } else {
-        const parsed_arg = url.parse(arg);
-        if (parsed_arg.protocol) {
-            // The argument is a proper URL, nothing to do...
-            return arg;
-        }
-        // We've received a file system reference, which must be converted into an appropriate localhost...
-        // base is the name of the script itself as called by node.js
-        // We need the full path
-        const full_path = path.isAbsolute(arg) ? arg : path.join(path.dirname(base), arg);
-
-        if (full_path.startsWith(slink_target === false && full_path.startsWith(top) === false)) {
-            throw new Error('Cannot interpret file name...');
-        }
-        // This is a local file that will be served via localhost...
-        // Create the "path" for the test. This may depend on your local setups; mine is a bit
-        // complicated because the github directory is symbolically linked from a HTTP path,
-        // and this must be taken into account...
-        const retval = {
-            protocol : SCHEME,
-            hostname : HOST,
-            port     : PORT !== '' ? PORT : undefined,
-            pathname : full_path.startsWith(slink_target)
-                ? path.join(slink_replacement, full_path.slice(slink_target.length))
-                : full_path.slice(top.length)
-        };
-        return url.format(retval);
-    }
-}
+/** The output formats of the canonicalize command */
+const canonical_formats = ['json', 'expanded', ...rdf_formats];
 
 /* ------------------------------------------------------------------------------ */
 /* For debug: more human readable printout of a manifest
@@ -136,6 +87,15 @@ function printoutManifest(manifest) {
         return pstr;
     };
 
+    const pr_toc = (entries, sp = sp4) => {
+        let str = '';
+        entries.forEach((item) => {
+            str += `${sp}${item.name}${item.url !== undefined ? ` (${item.url})` : ''}\n`;
+            str += pr_toc(item.entries, sp + sp4);
+        });
+        return str;
+    };
+
     const pr_links = (links) => {
         if (links.length === 0) {
             return `${sp4}[]\n`;
@@ -163,6 +123,10 @@ function printoutManifest(manifest) {
     retval += `Reading Order:\n${pr_links(manifest.readingOrder)}`;
     retval += `Resources:\n${pr_links(manifest.resources)}`;
     retval += `Links:\n${pr_links(manifest.links)}`;
+    retval += `Accessibility Report:\n${pr_one_link(manifest.accessibilityReport)}`;
+    retval += `Privacy Policy:\n${pr_one_link(manifest.privacyPolicy)}`;
+    retval += `Cover:\n${pr_one_link(manifest.cover)}`;
+    retval += `Table of Contents:\n${manifest.toc ? pr_toc(manifest.toc.entries) : `${sp4}undefined\n`}`;
     return retval;
 }
 
@@ -170,36 +134,484 @@ function printoutManifest(manifest) {
 //                            Main entry point for testing
 /* ------------------------------------------------------------------------------ */
 
-// Set this to your local URL if you want to test locally...
-async function main(base, file, c_or_d) {
-    let final_url = '';
+/**
+ * Read the full standard input.
+ *
+ * @async
+ * @return {string}
+ */
+async function read_stdin() {
+    return new Promise((resolve, reject) => {
+        let content = '';
+        process.stdin.setEncoding('utf-8');
+        process.stdin.on('data', (chunk) => {
+            content += chunk;
+        });
+        process.stdin.on('end', () => resolve(content));
+        process.stdin.on('error', reject);
+    });
+}
+
+
+/**
+ * Process the input, ie, a primary entry page or a standalone manifest. The input may be:
+ * - a URL or a file name, referring to an HTML primary entry page or to a JSON manifest;
+ * - the text of a JSON manifest itself;
+ * - '-': the JSON manifest is read from the standard input.
+ *
+ * @async
+ * @param {string} input - the input argument
+ * @param {Object} options - the options of `get_manifest`; must include the `logger`
+ * @param {string} base - base URL for a manifest that has no location; default is the current directory
+ * @return {Object} the result of `get_manifest`, with the addition of the `source` URL of the input
+ */
+async function process_input(input, options, base = url.pathToFileURL(`${process.cwd()}/`).href) {
+    const { logger, loader } = options;
+
+    // A manifest text on the command line, or on the standard input
+    const manifest_text = input === '-' ? await read_stdin() : input;
+    if (/^\s*[{[]/.test(manifest_text)) {
+        return Object.assign({ source: base }, await get_manifest_from_json(manifest_text, base, options));
+    }
+
+    // A URL or a local file, possibly a manifest
+    const source = to_url(input);
+    let publication;
+    try {
+        publication = await fetch_publication(source, loader, logger);
+    } catch (err) {
+        logger.assert(false, err.message, LogLevel.error, { code: err.code });
+        throw err;
+    }
+    if (publication.dom === undefined) {
+        // The base URL is the location of the manifest
+        return Object.assign({ source }, await get_manifest_from_json(publication.manifest_text, publication.url, options));
+    }
+    return Object.assign({ source }, await get_manifest(publication.dom, options));
+}
+
+
+const usage = `Usage: main.js [command] [options] <input>
+
+Commands:
+    validate          print the diagnostics only; the exit code is 1 if the publication is rejected (the default mode is "strict")
+    canonicalize      print the canonical manifest as JSON; the diagnostics are printed on the standard error
+    inspect           print a human readable summary of the Web Publication Manifest, followed by the diagnostics (default command)
+    batch             validate many publications, and print an aggregated summary (the default mode is "strict"); the input is a
+                      list file (one URL or file name per line), a glob pattern of local entry pages, or a directory tree (whose
+                      HTML files without a manifest reference are skipped)
+    watch             process the publication whenever one of its local files (entry page, manifest, table of contents,
+                      resources) changes, and print the new and the fixed issues compared with the previous run
+
+The input is the URL or the file name of a primary entry page or of a manifest, the text of a manifest, or "-" to read a
+manifest from the standard input.
+
+Options:
+    -h, --help                   print this message
+    -o, --output <file>          write the result into a file instead of the standard output
+    -q, --quiet                  do not print the diagnostics (the exit code still reflects the verdict)
+    -v, --verbose                print the details of the processing on the standard error
+    --profile <profile>          profile used for the processing: ${profile_names().join(', ')}; by default, the profile is
+                                 selected based on the conformsTo and type values of the manifest
+    --profile-file <file>        register a declarative profile defined in a JSON or YAML file (may be repeated)
+    --mode <mode>                processing mode: ${Object.keys(ProcessingMode).join(', ')}
+    --report-format <format>     format of the diagnostics: ${report_formats.join(', ')} (default: text); text or json for batch;
+                                 with a format other than text, inspect prints the report only
+    --toc-reading-order          derive the default reading order from the table of contents, if any
+    --json                       (inspect only) print the full Web Publication Manifest object as JSON
+    --format <format>            (canonicalize only) format of the canonical manifest: ${canonical_formats.join(', ')} (default: json);
+                                 "expanded" is the expanded JSON-LD, the others are RDF serializations (see lib/contexts/README.md
+                                 for the bundled contexts)
+    --concurrency <number>       (batch only) maximum number of publications processed at the same time (default: 4)
+    --base <url>                 base URL of a manifest given as text or on the standard input (default: current directory)
+    --cache <directory>          store the fetched resources in a persistent cache, revalidated with conditional requests
+    --offline                    serve the resources from the cache only, without any network access
+    --timeout <ms>               timeout for the HTTP requests
+    --max-size <bytes>           maximum size of an HTTP response
+    --max-redirects <number>     maximum number of HTTP redirects
+`;
+
+
+/**
+ * Write the result of a command into a file or on the standard output.
+ *
+ * @param {string} text - the result
+ * @param {string} output - the file name; the standard output is used if undefined
+ */
+function write_output(text, output) {
+    if (output !== undefined) {
+        fs.writeFileSync(output, `${text}\n`);
+    } else {
+        console.log(text);
+    }
+}
+
+
+/**
+ * Run a command on the input.
+ *
+ * @async
+ * @param {string} command - one of 'validate', 'canonicalize', or 'inspect'
+ * @param {string} input - URL or a local file name for a primary entry page or a manifest, a manifest itself, or '-'
+ * @param {Object} cli - the command line options
+ */
+async function main(command, input, cli) {
+    const logger = new Logger();
+    const options = {
+        logger,
+        mode              : ProcessingMode[cli.mode],
+        profile           : get_profile(cli.profile),
+        loader            : cli.loader,
+        toc_reading_order : cli.toc_reading_order
+    };
+    let source = input;
+    const diagnostics = () => report(logger, cli.report_format, logger.source || source);
+    const details = (message) => {
+        if (cli.verbose) {
+            console.error(message);
+        }
+    };
+
+    try {
+        details(`${command}: ${input === '-' ? 'standard input' : input} (mode: ${cli.mode}, profile: ${cli.profile || 'auto'})`);
+        const { wpm, canonical_manifest, passed, ...result } = await process_input(input, options, cli.base);
+        ({ source } = result);
+        process.exitCode = passed ? 0 : 1;
+        details(`${source}: profile ${result.profile}; ${logger.errors.length} error(s), ${logger.warnings.length} warning(s)`);
+        ['lang', 'dir'].forEach((term) => {
+            const { value, source: value_source } = result.inherited[term];
+            details(`${source}: default ${term}: ${value === null ? 'none' : `"${value}" (from ${value_source})`}`);
+        });
+        details(`${source}: publication ${passed ? 'accepted' : 'rejected'}`);
+
+        switch (command) {
+            case 'validate':
+                if (!cli.quiet) {
+                    write_output(diagnostics(), cli.output);
+                }
+                break;
+            case 'canonicalize':
+                if (!cli.quiet && (logger.errors.length > 0 || logger.warnings.length > 0)) {
+                    console.error(diagnostics());
+                }
+                if (passed) {
+                    let text;
+                    if (cli.format === 'json') {
+                        text = JSON.stringify(canonical_manifest, null, 4);
+                    } else if (cli.format === 'expanded') {
+                        text = JSON.stringify(await expand_manifest(canonical_manifest), null, 4);
+                    } else {
+                        text = await serialize_manifest(canonical_manifest, cli.format);
+                    }
+                    write_output(text, cli.output);
+                }
+                break;
+            default: {
+                // A machine readable report is not mixed with the human readable printout
+                if (cli.report_format !== 'text') {
+                    if (!cli.quiet) {
+                        write_output(diagnostics(), cli.output);
+                    }
+                    break;
+                }
+                let text;
+                if (!passed) {
+                    text = '---- Publication rejected ----';
+                } else if (cli.json) {
+                    text = JSON.stringify(wpm, null, 4);
+                } else {
+                    text = printoutManifest(wpm);
+                }
+                if (!cli.quiet) {
+                    text += `\n---- Errors/warnings: ----\n${diagnostics()}`;
+                }
+                write_output(text, cli.output);
+                break;
+            }
+        }
+    } catch (err) {
+        process.exitCode = 1;
+        details(`${err}`);
+        if (cli.quiet) {
+            return;
+        }
+        // The errors raised during the processing are also logged
+        if (logger.errors.length === 0) {
+            console.error(`${err}`);
+        } else if (command === 'validate') {
+            write_output(diagnostics(), cli.output);
+        } else {
+            console.error(cli.report_format === 'text' ? `---- Processing failed; errors/warnings: ----\n${diagnostics()}` : diagnostics());
+        }
+    }
+}
+
+
+/**
+ * Run the batch command: validate all the publications, and print a summary.
+ *
+ * @async
+ * @param {string} spec - list file, glob pattern, or directory (see `collect_inputs` in the batch module)
+ * @param {Object} cli - the command line options
+ */
+async function batch_main(spec, cli) {
     try {
-        // Get the final URL from a CLI (possibly a local file)
-        final_url = getURL(base, file);
-        const top_level = await fetch_html(final_url);
-        const { wpm, canonical_manifest, logger } = await get_manifest(top_level);
-        if (c_or_d) {
-            if (process.argv[2] === '-c') {
-                console.log(JSON.stringify(canonical_manifest, null, 4));
-            } else if (process.argv[2] === '-cl') {
-                console.log(JSON.stringify(canonical_manifest, null, 4));
-                console.log('---- Errors/warnings: ----');
-                console.log(logger.toString());
-            } else if (process.argv[2] === '-d') {
-                console.log(JSON.stringify(wpm, null, 4));
+        const inputs = collect_inputs(spec);
+        if (cli.verbose) {
+            console.error(`batch: ${inputs.length} publication(s) (mode: ${cli.mode}, profile: ${cli.profile || 'auto'}, concurrency: ${cli.concurrency})`);
+        }
+
+        // Each publication has its own logger; the processing errors are recorded in the result
+        const process_one = async (input, loader) => {
+            const logger = new Logger();
+            const options = {
+                logger,
+                loader,
+                mode              : ProcessingMode[cli.mode],
+                profile           : get_profile(cli.profile),
+                toc_reading_order : cli.toc_reading_order
+            };
+            try {
+                const { passed, source } = await process_input(input, options, cli.base);
+                return { passed, source, logger };
+            } catch (error) {
+                return { passed: false, logger, error };
             }
+        };
+
+        const results = await run_batch(inputs, process_one, cli.loader, cli.concurrency);
+        process.exitCode = results.every((result) => result.passed) ? 0 : 1;
+        if (!cli.quiet) {
+            write_output(cli.report_format === 'json' ? batch_report_json(results) : batch_report_text(results, cli.verbose), cli.output);
+        }
+    } catch (err) {
+        process.exitCode = 1;
+        console.error(`${err}`);
+    }
+}
+
+
+/**
+ * Run the watch command: process the publication, and re-process it whenever one of its local files changes. After each
+ * run the differences in the diagnostics are printed. This function does not return; the process must be interrupted.
+ *
+ * @param {string} input - URL or a local file name for a primary entry page or a manifest
+ * @param {Object} cli - the command line options
+ */
+function watch_main(input, cli) {
+    let previous;
+    let running = false;
+    let pending = false;
+
+    const print_diagnostic = (prefix, diagnostic) => console.log(`    ${prefix} ${diagnostic.severity}: ${diagnostic}`);
+
+    const run = async (changed = []) => {
+        // A change during the processing triggers a new run once the current one is finished
+        if (running) {
+            pending = true;
+            return;
+        }
+        running = true;
+
+        const logger = new Logger();
+        const loader = new TimingLoader(cli.loader);
+        const options = {
+            logger,
+            loader,
+            mode              : ProcessingMode[cli.mode],
+            profile           : get_profile(cli.profile),
+            toc_reading_order : cli.toc_reading_order
+        };
+        let result = {};
+        let failure = '';
+        try {
+            result = await process_input(input, options, cli.base);
+        } catch (err) {
+            failure = logger.errors.length === 0 ? ` (${err})` : '';
+        }
+
+        // The fetched files and the resources of the publication are watched
+        const urls = loader.timings.map((timing) => timing.url);
+        if (result.canonical_manifest) {
+            ['readingOrder', 'resources', 'links'].forEach((term) => {
+                (result.canonical_manifest[term] || []).forEach((link) => urls.push(link.url));
+            });
+        }
+        watcher.watch(local_files(urls));
+
+        const current = [...logger.errors, ...logger.warnings];
+        const time = new Date().toLocaleTimeString();
+        const counts = `${logger.errors.length} error(s), ${logger.warnings.length} warning(s)`;
+        const verdict = result.passed ? 'accepted' : 'rejected';
+        if (previous === undefined) {
+            console.log(`---- [${time}] ${result.source || input}: ${counts}; publication ${verdict}${failure}`);
+            current.forEach((diagnostic) => print_diagnostic(' ', diagnostic));
         } else {
-            console.log(printoutManifest(wpm));
-            console.log('---- Errors/warnings: ----');
-            console.log(logger.toString());
+            const { added, removed } = diff_diagnostics(previous, current);
+            console.log(`---- [${time}] ${changed.join(', ')} changed: ${counts}; publication ${verdict}${failure}`);
+            removed.forEach((diagnostic) => print_diagnostic('-', diagnostic));
+            added.forEach((diagnostic) => print_diagnostic('+', diagnostic));
+            if (added.length === 0 && removed.length === 0) {
+                console.log('    no change in the diagnostics');
+            }
+        }
+        if (cli.verbose) {
+            console.error(`Watching: ${watcher.files.join(', ')}`);
+        }
+        previous = current;
+
+        running = false;
+        if (pending) {
+            pending = false;
+            run(['(changed during the processing)']);
         }
+    };
+
+    const watcher = new Watcher(run);
+    run().then(() => {
+        if (watcher.files.length === 0) {
+            console.error('There is no local file to watch');
+            watcher.close();
+            process.exitCode = 1;
+        }
+    });
+}
+
+
+/**
+ * Print an error on the usage of the command line, and exit.
+ *
+ * @param {string} message - the error message
+ */
+function usage_error(message) {
+    console.error(`${message}\n\n${usage}`);
+    process.exit(2);
+}
+
+
+/**
+ * Extract an option with a value (e.g., '--mode strict') from the command line arguments.
+ *
+ * @param {string[]} args - the command line arguments; the option and its value are removed
+ * @param {(string|string[])} name - the name of the option, or the list of its alternative names (e.g., ['--output', '-o'])
+ * @param {string[]} values - the acceptable values; any value is accepted if undefined
+ * @param {string} default_value - value to return if the option is not used
+ * @return {string}
+ */
+function cli_option(args, name, values, default_value) {
+    const names = Array.isArray(name) ? name : [name];
+    const index = args.findIndex((arg) => names.includes(arg));
+    if (index === -1) {
+        return default_value;
+    }
+    const value = args[index + 1];
+    args.splice(index, 2);
+    if (value === undefined || (values !== undefined && !values.includes(value))) {
+        const expected = values !== undefined ? ` (should be one of ${values.join(', ')})` : '';
+        usage_error(`Invalid value for ${names[0]}: "${value}"${expected}`);
+    }
+    return value;
+}
+
+
+/**
+ * Extract a flag (e.g., '--offline') from the command line arguments.
+ *
+ * @param {string[]} args - the command line arguments; the flag is removed
+ * @param {(string|string[])} name - the name of the flag, or the list of its alternative names (e.g., ['--quiet', '-q'])
+ * @return {boolean} whether the flag is used
+ */
+function cli_flag(args, name) {
+    const names = Array.isArray(name) ? name : [name];
+    const index = args.findIndex((arg) => names.includes(arg));
+    if (index === -1) {
+        return false;
+    }
+    args.splice(index, 1);
+    return true;
+}
+
+
+/**
+ * Extract a numerical limit (e.g., '--timeout 1000') from the command line arguments.
+ *
+ * @param {string[]} args - the command line arguments; the option and its value are removed
+ * @param {string} name - the name of the option
+ * @return {number} the value; undefined if the option is not used
+ */
+function cli_limit(args, name) {
+    const value = cli_option(args, name, undefined, undefined);
+    if (value !== undefined && !/^[0-9]+$/.test(value)) {
+        usage_error(`Invalid value for ${name}: "${value}" (should be a non-negative integer)`);
+    }
+    return value !== undefined ? Number(value) : undefined;
+}
+
+
+const args = process.argv.slice(2);
+if (cli_flag(args, ['--help', '-h'])) {
+    console.log(usage);
+    process.exit(0);
+}
+
+const commands = ['validate', 'canonicalize', 'inspect', 'batch', 'watch'];
+const command = commands.includes(args[0]) ? args.shift() : 'inspect';
+
+// The declarative profiles must be registered before the --profile option is checked
+let profile_file = cli_option(args, '--profile-file', undefined, undefined);
+while (profile_file !== undefined) {
+    try {
+        register_profile_file(profile_file);
     } catch (err) {
-        console.log(`${err}`);
+        usage_error(err.message);
     }
+    profile_file = cli_option(args, '--profile-file', undefined, undefined);
 }
 
+const cli = {
+    output            : cli_option(args, ['--output', '-o'], undefined, undefined),
+    quiet             : cli_flag(args, ['--quiet', '-q']),
+    verbose           : cli_flag(args, ['--verbose', '-v']),
+    profile           : cli_option(args, '--profile', profile_names(), undefined),
+    mode              : cli_option(args, '--mode', Object.keys(ProcessingMode), ['validate', 'batch'].includes(command) ? 'strict' : 'permissive'),
+    report_format     : cli_option(args, '--report-format', report_formats, 'text'),
+    toc_reading_order : cli_flag(args, '--toc-reading-order'),
+    json              : cli_flag(args, '--json'),
+    format            : cli_option(args, '--format', canonical_formats, 'json'),
+    base              : cli_option(args, '--base', undefined, undefined),
+    concurrency       : cli_limit(args, '--concurrency') || 4
+};
+if (command === 'batch' && !['text', 'json'].includes(cli.report_format)) {
+    usage_error(`Invalid report format for batch: "${cli.report_format}" (should be one of text, json)`);
+}
+
+const cache_directory = cli_option(args, '--cache', undefined, undefined);
+const offline = cli_flag(args, '--offline');
+if (offline && cache_directory === undefined) {
+    usage_error('The --offline option requires a cache (--cache <directory>)');
+}
+const loader_options = {
+    timeout       : cli_limit(args, '--timeout'),
+    max_size      : cli_limit(args, '--max-size'),
+    max_redirects : cli_limit(args, '--max-redirects')
+};
+cli.loader = cache_directory !== undefined ? new CachingLoader(cache_directory, offline, loader_options) : new DefaultLoader(loader_options);
 
-// Adding a '-c': print out the canonical manifest only
-// Adding a '-d': print out the full generated Web Publication Manifest object, rather than the printout
-const canonical_or_debug = (process.argv[2] === '-c' || process.argv[2] === '-cl' || process.argv[2] === '-d');
-main(process.argv[1], canonical_or_debug ? process.argv[3] : process.argv[2], canonical_or_debug);
+// What remains is the input, the only argument that may start with a '-' is the standard input
+const unknown = args.find((arg) => arg.startsWith('-') && arg !== '-');
+if (unknown !== undefined) {
+    usage_error(`Unknown option: ${unknown}`);
+}
+if (args.length !== 1) {
+    usage_error(args.length === 0 ? 'No input...' : `Too many arguments: ${args.join(' ')}`);
+}
+if (command === 'batch') {
+    batch_main(args[0], cli);
+} else if (command === 'watch') {
+    if (args[0] === '-') {
+        usage_error('The standard input cannot be watched');
+    }
+    watch_main(args[0], cli);
+} else {
+    main(command, args[0], cli);
+}
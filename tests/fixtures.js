@@ -0,0 +1,657 @@
+/**
+ * Fixture based checks of the processing steps that the smoke test (the processing of a local entry page) does not reach:
+ * the dispatch of the loaders, the discovery of the manifest, the error codes, and the profiles. The remote publications are
+ * served by a MemoryLoader from the fixture maps below; the local ones are files in this folder.
+ *
+ * Run with `node tests/fixtures.js` (part of `npm test`); the exit code is 1 if any of the checks fails.
+ */
+
+'use strict';
+
+const assert                                                     = require('assert');
+const child_process                                              = require('child_process');
+const fs                                                         = require('fs');
+const http                                                       = require('http');
+const os                                                         = require('os');
+const path                                                       = require('path');
+const url                                                        = require('url');
+const { MemoryLoader, DefaultLoader, CachingLoader, HttpLoader } = require('../lib/loaders');
+const { fetch_publication, Logger }                              = require('../lib/utils');
+const { get_manifest, get_manifest_from_json, ProcessingMode }   = require('../lib/process');
+const { register_profile_file }                                  = require('../lib/profile_files');
+const { core_profile }                                           = require('../lib/profiles');
+const { to_turtle, expand_manifest }                             = require('../lib/rdf');
+const { collect_inputs, run_batch, summarize }                   = require('../lib/batch');
+const { report }                                                 = require('../lib/report');
+const { diff_diagnostics, local_files, Watcher }                 = require('../lib/watch');
+
+/** The URL of a fixture file in this folder */
+const fixture_url = (file_name) => url.pathToFileURL(path.join(__dirname, file_name)).href;
+
+/** A minimal valid manifest */
+const manifest = JSON.stringify({
+    '@context'   : ['https://schema.org', 'https://www.w3.org/ns/wp-context'],
+    type         : 'CreativeWork',
+    name         : 'Fixture',
+    readingOrder : ['chapter1.html']
+});
+
+/** A fixture served as HTML */
+const html = (body, headers = {}) => ({ body, content_type: 'text/html', headers });
+
+/** A fixture served as JSON */
+const json = (body, content_type = 'application/json') => ({ body, content_type });
+
+/** A manifest without a reading order, whose table of contents is in a separate document */
+const toc_manifest = JSON.stringify({
+    '@context' : ['https://schema.org', 'https://www.w3.org/ns/wp-context'],
+    type       : 'CreativeWork',
+    name       : 'Fixture',
+    resources  : [{ type: 'LinkedResource', url: 'toc.html', rel: 'contents' }]
+});
+
+/** A manifest with resources without a length and with an invalid length */
+const length_manifest = JSON.stringify({
+    '@context'   : ['https://schema.org', 'https://www.w3.org/ns/wp-context'],
+    type         : 'CreativeWork',
+    name         : 'Fixture',
+    readingOrder : ['chapter1.html'],
+    resources    : [
+        { type: 'LinkedResource', url: 'style.css' },
+        { type: 'LinkedResource', url: 'audio.mp3', length: 'long' },
+        { type: 'LinkedResource', url: 'video.mp4', length: 42.5 }
+    ]
+});
+
+/** A manifest with extension terms (see `sculpture_profile`) */
+const sculpture_manifest = JSON.stringify({
+    '@context'   : ['https://schema.org', 'https://www.w3.org/ns/wp-context'],
+    type         : 'CreativeWork',
+    name         : 'Fixture',
+    readingOrder : ['chapter1.html'],
+    sculptor     : 'Auguste Rodin',
+    sketch       : 'sketch.png'
+});
+
+/** An erroneous profile: the entity and link terms are not declared as array terms */
+const sculpture_profile = Object.assign({}, core_profile, {
+    entity_values : ['sculptor', ...core_profile.entity_values],
+    link_values   : ['sketch', ...core_profile.link_values]
+});
+
+/** A manifest with invalid values */
+const invalid_manifest = JSON.stringify({
+    '@context'         : ['https://schema.org', 'https://www.w3.org/ns/wp-context'],
+    type               : ['Book', 42],
+    name               : 42,
+    inDirection        : 'up',
+    readingProgression : 'ttb',
+    description        : 42,
+    readingOrder       : ['chapter1.html']
+});
+
+/** The minimal manifest with some values changed; an `undefined` value removes the term */
+const variant = (values) => JSON.stringify(Object.assign(JSON.parse(manifest), values));
+
+/** A manifest with two accessibility reports, and a privacy policy (referred to with the full rel value) of a wrong media type */
+const document_links_manifest = variant({
+    links: [
+        { type: 'LinkedResource', url: 'report.html', rel: 'accessibility-report' },
+        { type: 'LinkedResource', url: 'privacy.png', rel: 'https://www.w3.org/ns/wp#privacy-policy', encodingFormat: 'image/png' }
+    ],
+    resources: [{ type: 'LinkedResource', url: 'report.pdf', rel: 'accessibility-report', encodingFormat: 'application/pdf' }]
+});
+
+/** The contexts of a manifest with a default language for the texts */
+const french_context = ['https://schema.org', 'https://www.w3.org/ns/wp-context', { '@language': 'fr' }];
+
+/** A table of contents document */
+const toc_page = '<html><body><nav role="doc-toc"><ol><li><a href="c1.html">One</a></li><li><a href="c2.html">Two</a></li></ol></nav></body></html>';
+
+/** A table of contents document with two navigation lists; the contents URL refers to the second one with a fragment */
+const toc_fragment_page = `<html><body>
+    <nav id="pages"><ol><li><a href="p1.html">1</a></li></ol></nav>
+    <nav id="chapters"><ol>
+        <li><a href="c1.html">One</a></li>
+        <li><a href="mailto:editor@example.org">Editor</a></li>
+        <li><a href="javascript:void(0)">Nothing</a></li>
+        <li><a href="https://example.com/c2.html">Elsewhere</a></li>
+        <li><a href="c3.html#part">Three</a></li>
+    </ol></nav>
+</body></html>`;
+
+/** A primary entry page referring to a manifest with a link element */
+const entry_page = (href, rel = 'publication') => `<html><head><link rel="${rel}" href="${href}"></head><body></body></html>`;
+
+/** An embedded manifest */
+const script = `<script id="wpm" type="application/ld+json">${manifest}</script>`;
+
+/** A primary entry page with a language and a direction, referring to a manifest with a link element */
+const french_page = (href, body = '') => `<html lang="fr" dir="rtl"><head><link rel="publication" href="${href}"></head><body>${body}</body></html>`;
+
+/** A primary entry page without a reference to a manifest */
+const bare_page = '<html><head><title>Fixture</title></head><body></body></html>';
+
+/** Link header referring to a manifest (which is not the one in the link element) and to a style sheet */
+const other_links = '<other.json>; rel="publication", <style.css>; rel="stylesheet"';
+
+/** Fixture map of the remote publications; the keys are the URL-s of the primary entry pages or of the manifests */
+const fixtures = {
+    'https://example.org/linked/'              : html(entry_page('manifest.json')),
+    'https://example.org/linked/manifest.json' : json(manifest),
+
+    'https://example.org/embedded/'       : html(`<html><head><link rel="publication" href="#wpm"></head><body>${script}</body></html>`),
+    'https://example.org/missing-script/' : html(entry_page('#wpm')),
+    'https://example.org/no-link/'        : html(bare_page),
+    'https://example.org/almost-link/'    : html(entry_page('manifest.json', 'publication-draft')),
+
+    'https://example.org/header/'                       : html(bare_page, { link: '<manifest.json>; rel="publication"' }),
+    'https://example.org/header/manifest.json'          : json(manifest, 'application/manifest+json'),
+    'https://example.org/header-and-link/'              : html(entry_page('manifest.json'), { link: other_links }),
+    'https://example.org/header-and-link/manifest.json' : json(manifest),
+    'https://example.org/header-and-link/other.json'    : json(manifest),
+
+    'https://example.org/plain/'               : html(entry_page('manifest.json')),
+    'https://example.org/plain/manifest.json'  : json(manifest, 'text/plain; charset=utf-8'),
+    'https://example.org/image/'               : html(entry_page('manifest.json')),
+    'https://example.org/image/manifest.json'  : json(manifest, 'image/png'),
+    'https://example.org/broken/'              : html(entry_page('manifest.json')),
+    'https://example.org/broken/manifest.json' : json('{ "type": "CreativeWork", }'),
+    'https://example.org/dangling/'            : html(entry_page('manifest.json')),
+    'https://example.org/local-file/'          : html(entry_page('file:///etc/passwd')),
+    'https://example.org/ftp/'                 : html(entry_page('ftp://example.org/manifest.json')),
+
+    'https://example.org/toc/'                 : html(entry_page('manifest.json')),
+    'https://example.org/toc/manifest.json'    : json(toc_manifest),
+    'https://example.org/toc/toc.html'         : html(toc_page),
+    'https://example.org/no-toc/'              : html(entry_page('manifest.json')),
+    'https://example.org/no-toc/manifest.json' : json(toc_manifest),
+
+    'https://example.org/toc-fragment/'              : html(entry_page('manifest.json')),
+    'https://example.org/toc-fragment/manifest.json' : json(toc_manifest.replace('"toc.html"', '"toc.html#chapters"')),
+    'https://example.org/toc-fragment/toc.html'      : html(toc_fragment_page),
+
+    'https://example.org/inherited/'                     : html(french_page('#wpm', script)),
+    'https://example.org/inherited-link/'                : html(french_page('manifest.json'), { 'content-language': 'de' }),
+    'https://example.org/inherited-link/manifest.json'   : json(manifest),
+    'https://example.org/inherited-header/'              : html(french_page('manifest.json'), { 'content-language': 'de' }),
+    'https://example.org/inherited-header/manifest.json' : { body: manifest, content_type: 'application/json', headers: { 'content-language': 'nl' } },
+
+    'https://example.org/standalone.json' : json(manifest, 'application/ld+json'),
+    'https://example.org/sniffed.json'    : { body: manifest },
+    'https://example.org/lengths.json'    : json(length_manifest),
+    'https://example.org/sculpture.json'  : json(sculpture_manifest),
+    'https://example.org/invalid.json'    : json(invalid_manifest),
+
+    'https://example.org/document-links.json'    : json(document_links_manifest),
+    'https://example.org/no-context.json'        : json(variant({ '@context': undefined })),
+    'https://example.org/context-language.json'  : json(variant({ '@context': french_context })),
+    'https://example.org/explicit-language.json' : json(variant({ '@context': french_context, inLanguage: 'en' }))
+};
+
+
+/**
+ * Process a publication, as the command line does: fetch the input, and process it either as a primary entry page or as a
+ * standalone manifest.
+ *
+ * @async
+ * @param {string} publication_url - the URL of the primary entry page or of the manifest
+ * @param {Object} options - processing options (see `get_manifest`); the default loader serves the fixture map
+ * @return {Object} the result of the processing, with the `logger` and, if the processing failed, the `error`
+ */
+async function process_publication(publication_url, options = {}) {
+    const logger = new Logger();
+    const all_options = Object.assign({ loader: new MemoryLoader(fixtures), mode: ProcessingMode.strict, logger }, options);
+    try {
+        const publication = await fetch_publication(publication_url, all_options.loader, logger);
+        const result = publication.dom === undefined
+            ? await get_manifest_from_json(publication.manifest_text, publication.url, all_options)
+            : await get_manifest(publication.dom, all_options);
+        return Object.assign({ logger }, result);
+    } catch (error) {
+        return { logger, error };
+    }
+}
+
+/** The codes of the diagnostics of a logger */
+const codes = (diagnostics) => diagnostics.map((diagnostic) => diagnostic.code);
+
+/**
+ * Check that the publication has been processed without any diagnostics.
+ *
+ * @param {Object} result - the result of `process_publication`
+ */
+function assert_clean(result) {
+    assert.strictEqual(result.error, undefined, result.error && result.error.message);
+    assert.deepStrictEqual(codes(result.logger.errors), []);
+    assert.deepStrictEqual(codes(result.logger.warnings), []);
+    assert.strictEqual(result.passed, true);
+}
+
+/**
+ * Check that the processing has failed with an error; the error must also be logged.
+ *
+ * @param {Object} result - the result of `process_publication`
+ * @param {string} code - the expected error code
+ */
+function assert_failure(result, code) {
+    assert.notStrictEqual(result.error, undefined, 'the processing should have failed');
+    assert.strictEqual(result.error.code, code);
+    assert.ok(codes(result.logger.errors).includes(code), `"${code}" has not been logged`);
+}
+
+/**
+ * Run a function while a local HTTP server is listening.
+ *
+ * @async
+ * @param {Function} handler - the request handler of the server
+ * @param {Function} func - async function getting the base URL of the server (without a final '/')
+ * @return {*} the result of the function
+ */
+async function with_server(handler, func) {
+    const server = http.createServer(handler);
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    try {
+        return await func(`http://127.0.0.1:${server.address().port}`);
+    } finally {
+        await new Promise((resolve) => server.close(resolve));
+    }
+}
+
+/**
+ * Run the command line (`main.js`) in a separate process.
+ *
+ * @param {string[]} args - the command line arguments
+ * @param {string} input - the text on the standard input, if any
+ * @return {Object} the exit `status` and the standard output (`stdout`) of the run
+ */
+function run_cli(args, input = '') {
+    const result = child_process.spawnSync(process.execPath, [path.join(__dirname, '..', 'main.js'), ...args], { input, encoding: 'utf-8', timeout: 60000 });
+    return { status: result.status, stdout: result.stdout };
+}
+
+
+/** The checks: names and async functions raising an exception on failure */
+const checks = [
+    // ---------------------------------------------------- Loaders
+    ['the default loader reads local files, with a content type based on the file name extension', async () => {
+        const response = await new DefaultLoader().load(fixture_url('mobydick-simple.json'));
+        assert.strictEqual(response.content_type, 'application/json');
+        assert.strictEqual(JSON.parse(response.body).name, 'Moby-Dick');
+    }],
+    ['the default loader reports missing local files', async () => {
+        await assert.rejects(new DefaultLoader().load(fixture_url('no_such_file.json')), { code: 'fetch-file-error' });
+    }],
+    ['the memory loader reports missing resources', async () => {
+        assert_failure(await process_publication('https://example.org/dangling/'), 'fetch-http-error');
+    }],
+    ['a publication is an entry page or a manifest, depending on the content type or, if unknown, on the content', async () => {
+        const loader = new MemoryLoader(fixtures);
+        assert.notStrictEqual((await fetch_publication('https://example.org/linked/', loader)).dom, undefined);
+        assert.strictEqual((await fetch_publication('https://example.org/standalone.json', loader)).manifest_text, manifest);
+        assert.strictEqual((await fetch_publication('https://example.org/sniffed.json', loader)).manifest_text, manifest);
+    }],
+    ['the cached resources are revalidated, and they are served from the cache only in offline mode', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wpm-cache-'));
+        const validators = [];
+        try {
+            await with_server((request, response) => {
+                validators.push(request.headers['if-none-match']);
+                if (request.headers['if-none-match'] === '"v1"') {
+                    response.writeHead(304);
+                    response.end();
+                } else {
+                    response.writeHead(200, { 'Content-Type': 'application/json', ETag: '"v1"' });
+                    response.end(manifest);
+                }
+            }, async (base) => {
+                const loader = new CachingLoader(directory);
+                await loader.load(`${base}/manifest.json`, 'application/json');
+                assert.strictEqual((await loader.load(`${base}/manifest.json`, 'application/json')).body, manifest);
+                assert.deepStrictEqual(validators, [undefined, '"v1"']);
+
+                const offline_loader = new CachingLoader(directory, true);
+                assert.strictEqual((await offline_loader.load(`${base}/manifest.json`, 'application/json')).body, manifest);
+                await assert.rejects(offline_loader.load(`${base}/other.json`, 'application/json'), { code: 'fetch-not-cached' });
+                assert.strictEqual(validators.length, 2);
+            });
+        } finally {
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }],
+    ['the HTTP requests are limited in time, size and redirects, and the body is decoded with its charset', async () => {
+        const latin1_type = { 'Content-Type': 'application/json; charset=iso-8859-1' };
+        const routes = {
+            '/large'  : (response) => response.end('x'.repeat(100)),
+            '/slow'   : (response) => setTimeout(() => response.end('{}'), 200),
+            '/loop'   : (response) => response.writeHead(302, { Location: '/loop' }).end(),
+            '/latin1' : (response) => response.writeHead(200, latin1_type).end(Buffer.from('{ "name": "Géza" }', 'latin1'))
+        };
+        await with_server((request, response) => routes[request.url](response), async (base) => {
+            const loader = new HttpLoader({ timeout: 50, max_size: 10, max_redirects: 2 });
+            await assert.rejects(loader.load(`${base}/large`, 'application/json'), { code: 'fetch-too-large' });
+            await assert.rejects(loader.load(`${base}/slow`, 'application/json'), { code: 'fetch-timeout' });
+            await assert.rejects(loader.load(`${base}/loop`, 'application/json'), { code: 'fetch-too-many-redirects' });
+            const decoded = await new HttpLoader().load(`${base}/latin1`, 'application/json');
+            assert.strictEqual(JSON.parse(decoded.body).name, 'Géza');
+        });
+    }],
+
+    // ---------------------------------------------------- Discovery of the manifest
+    ['linked manifest', async () => {
+        assert_clean(await process_publication('https://example.org/linked/'));
+    }],
+    ['embedded manifest', async () => {
+        assert_clean(await process_publication('https://example.org/embedded/'));
+    }],
+    ['standalone manifest', async () => {
+        assert_clean(await process_publication('https://example.org/standalone.json'));
+    }],
+    ['manifest referred to by a Link header', async () => {
+        const result = await process_publication('https://example.org/header/');
+        assert_clean(result);
+        assert.strictEqual(result.wpm.name[0].value, 'Fixture');
+    }],
+    ['a link element and a Link header referring to different manifests', async () => {
+        const result = await process_publication('https://example.org/header-and-link/', { mode: ProcessingMode.permissive });
+        assert.deepStrictEqual(codes(result.logger.warnings), ['multiple-manifest-links']);
+    }],
+    ['the rel value of the link element must match exactly', async () => {
+        assert_failure(await process_publication('https://example.org/almost-link/'), 'manifest-link-not-found');
+    }],
+    ['entry page without a reference to a manifest', async () => {
+        assert_failure(await process_publication('https://example.org/no-link/'), 'manifest-link-not-found');
+    }],
+    ['reference to a missing embedded manifest', async () => {
+        assert_failure(await process_publication('https://example.org/missing-script/'), 'embedded-manifest-missing');
+    }],
+
+    // ---------------------------------------------------- Retrieval and parsing of the manifest
+    ['manifest served as plain text is tolerated', async () => {
+        const result = await process_publication('https://example.org/plain/', { mode: ProcessingMode.permissive });
+        assert.strictEqual(result.error, undefined);
+        assert.deepStrictEqual(codes(result.logger.warnings), ['fetch-tolerated-media-type']);
+    }],
+    ['manifest served with an invalid media type', async () => {
+        assert_failure(await process_publication('https://example.org/image/'), 'fetch-invalid-media-type');
+    }],
+    ['manifest with a JSON syntax error', async () => {
+        assert_failure(await process_publication('https://example.org/broken/'), 'json-syntax-error');
+    }],
+    ['a remote entry page cannot refer to a local file', async () => {
+        assert_failure(await process_publication('https://example.org/local-file/'), 'fetch-invalid-url');
+    }],
+    ['a manifest cannot be retrieved with other protocols than HTTP(S)', async () => {
+        assert_failure(await process_publication('https://example.org/ftp/'), 'fetch-invalid-url');
+    }],
+
+    // ---------------------------------------------------- Values
+    ['the length of a resource is checked only if it is set', async () => {
+        const result = await process_publication('https://example.org/lengths.json', { mode: ProcessingMode.permissive });
+        assert.deepStrictEqual(codes(result.logger.warnings), ['invalid-length']);
+        assert.strictEqual(result.logger.warnings[0].path, '/resources/1/length');
+        assert.deepStrictEqual(result.wpm.resources.map((resource) => resource.length), [undefined, 'long', '42.5']);
+    }],
+    ['each invalid value is reported once, either by the schema validation or when the value is set', async () => {
+        const result = await process_publication('https://example.org/invalid.json', { mode: ProcessingMode.permissive });
+        assert.deepStrictEqual(result.logger.errors.map((diagnostic) => [diagnostic.code, diagnostic.path]), [
+            ['schema-type', '/description'],
+            ['missing-string-value', '/name/0']
+        ]);
+        assert.deepStrictEqual(result.logger.warnings.map((diagnostic) => [diagnostic.code, diagnostic.path]), [
+            ['invalid-type', '/type/1'],
+            ['invalid-direction', '/inDirection'],
+            ['invalid-reading-progression', '/readingProgression']
+        ]);
+    }],
+    ['the JSON versions of the manifest and of the logger leave out the processing state', async () => {
+        const result = await process_publication('https://example.org/lengths.json', { mode: ProcessingMode.permissive });
+        const wpm = JSON.parse(JSON.stringify(result.wpm));
+        assert.deepStrictEqual(Object.keys(wpm).filter((key) => key.startsWith('__')), []);
+        assert.deepStrictEqual(wpm._resources.map((resource) => Object.keys(resource).filter((key) => key.startsWith('__'))), [[], [], []]);
+        assert.deepStrictEqual(JSON.parse(JSON.stringify(result.logger)), { errors: [], warnings: JSON.parse(JSON.stringify(result.logger.warnings)) });
+    }],
+    ['the accessibility report and the privacy policy are unique links to HTML or PDF documents', async () => {
+        const result = await process_publication('https://example.org/document-links.json', { mode: ProcessingMode.permissive });
+        assert.strictEqual(result.wpm.accessibilityReport.url, 'https://example.org/report.html');
+        assert.strictEqual(result.wpm.privacyPolicy, undefined);
+        assert.deepStrictEqual(result.logger.errors.map((diagnostic) => [diagnostic.code, diagnostic.path]), [
+            ['duplicate-link', '/resources/0'],
+            ['invalid-media-type', '/links/1']
+        ]);
+    }],
+
+    // ---------------------------------------------------- Context
+    ['a missing context is reported once', async () => {
+        const result = await process_publication('https://example.org/no-context.json', { mode: ProcessingMode.permissive });
+        assert.deepStrictEqual(result.logger.errors.map((diagnostic) => [diagnostic.code, diagnostic.path]), [['invalid-context', '/@context']]);
+    }],
+    ['the language set in the context is the default language of the texts', async () => {
+        const result = await process_publication('https://example.org/context-language.json');
+        assert_clean(result);
+        assert.deepStrictEqual(result.canonical_manifest.name, [{ value: 'Fixture', language: 'fr' }]);
+    }],
+    ['an explicit inLanguage takes precedence over the language set in the context', async () => {
+        const result = await process_publication('https://example.org/explicit-language.json');
+        assert_clean(result);
+        assert.deepStrictEqual(result.canonical_manifest.name, [{ value: 'Fixture', language: 'en' }]);
+    }],
+
+    // ---------------------------------------------------- Inherited language and direction
+    ['an embedded manifest inherits the language and the direction of the primary entry page', async () => {
+        const result = await process_publication('https://example.org/inherited/');
+        assert_clean(result);
+        assert.deepStrictEqual(result.inherited, {
+            lang : { value: 'fr', source: 'the <html> element' },
+            dir  : { value: 'rtl', source: 'the <html> element' }
+        });
+        assert.deepStrictEqual([result.canonical_manifest.inLanguage, result.canonical_manifest.inDirection], ['fr', 'rtl']);
+    }],
+    ['the language of a separate manifest comes from its Content-Language header, then from the linking element', async () => {
+        const [from_link, from_header] = await Promise.all([
+            process_publication('https://example.org/inherited-link/'),
+            process_publication('https://example.org/inherited-header/')
+        ]);
+        assert.deepStrictEqual(from_link.inherited.lang, { value: 'fr', source: 'the <html> element' });
+        assert.deepStrictEqual(from_header.inherited.lang, {
+            value  : 'nl',
+            source : 'the Content-Language header of https://example.org/inherited-header/manifest.json'
+        });
+        assert.deepStrictEqual(from_header.inherited.dir, { value: 'rtl', source: 'the <html> element' });
+        assert.strictEqual(from_header.canonical_manifest.inLanguage, 'nl');
+    }],
+
+    // ---------------------------------------------------- JSON-LD
+    ['the canonical manifest is serialized in Turtle with the bundled contexts', async () => {
+        const result = await process_publication('https://example.org/standalone.json');
+        const turtle = await to_turtle(result.canonical_manifest);
+        assert.ok(turtle.includes('a schema:CreativeWork'), turtle);
+        assert.ok(turtle.includes('schema:name "Fixture"'), turtle);
+        assert.ok(turtle.includes('schema:url <https://example.org/chapter1.html>'), turtle);
+        assert.ok(turtle.includes('wp:readingOrder'), turtle);
+    }],
+    ['other remote contexts are not retrieved', async () => {
+        const canonical_manifest = { '@context': ['https://schema.org', 'https://example.org/context'], type: ['CreativeWork'] };
+        await assert.rejects(expand_manifest(canonical_manifest), { code: 'jsonld-unknown-context' });
+    }],
+
+    // ---------------------------------------------------- Table of contents
+    ['the table of contents document is fetched once, for the reading order and for the table of contents', async () => {
+        const loader = new MemoryLoader(fixtures);
+        const fetched = [];
+        const load = loader.load.bind(loader);
+        loader.load = (resource_url, content_type) => {
+            fetched.push(resource_url);
+            return load(resource_url, content_type);
+        };
+        const result = await process_publication('https://example.org/toc/', { loader, toc_reading_order: true });
+        assert_clean(result);
+        assert.deepStrictEqual(result.wpm.readingOrder.map((item) => item.url), ['https://example.org/toc/c1.html', 'https://example.org/toc/c2.html']);
+        assert.strictEqual(result.wpm.toc.entries.length, 2);
+        assert.deepStrictEqual(fetched.filter((resource_url) => resource_url === 'https://example.org/toc/toc.html'), ['https://example.org/toc/toc.html']);
+    }],
+    ['the reading order comes from the table of contents identified by the fragment, with the links to the same origin only', async () => {
+        const result = await process_publication('https://example.org/toc-fragment/', { toc_reading_order: true });
+        assert_clean(result);
+        const expected = ['https://example.org/toc-fragment/c1.html', 'https://example.org/toc-fragment/c3.html'];
+        assert.deepStrictEqual(result.wpm.readingOrder.map((item) => item.url), expected);
+    }],
+    ['a missing table of contents document is reported once', async () => {
+        const results = await Promise.all([false, true].map((toc_reading_order) => (
+            process_publication('https://example.org/no-toc/', { mode: ProcessingMode.permissive, toc_reading_order })
+        )));
+        results.forEach((result) => {
+            assert.deepStrictEqual(codes(result.logger.warnings), ['fetch-http-error']);
+            assert.strictEqual(result.logger.warnings[0].path, '/resources/0');
+        });
+    }],
+
+    // ---------------------------------------------------- Profiles
+    ['audiobook', async () => {
+        const result = await process_publication(fixture_url('audiobook.json'), { loader: new DefaultLoader(), mode: ProcessingMode.pedantic });
+        assert_clean(result);
+        assert.strictEqual(result.profile, 'audiobook');
+        assert.strictEqual(result.wpm.cover.url, fixture_url(path.join('images', 'cover.jpg')));
+    }],
+    ['audiobook without a duration', async () => {
+        const audiobook = JSON.parse(fs.readFileSync(path.join(__dirname, 'audiobook.json'), 'utf-8'));
+        delete audiobook.duration;
+        const loader = new MemoryLoader({ 'https://example.org/audiobook.json': json(JSON.stringify(audiobook)) });
+        const result = await process_publication('https://example.org/audiobook.json', { loader });
+        assert.strictEqual(result.passed, false);
+        assert.deepStrictEqual(codes(result.logger.errors), ['audiobook-missing-duration']);
+    }],
+    ['declarative profile', async () => {
+        assert.strictEqual(register_profile_file(path.join(__dirname, 'profiles', 'painting.yaml')), 'painting');
+        const result = await process_publication(fixture_url('painting.json'), { loader: new DefaultLoader() });
+        assert_clean(result);
+        assert.strictEqual(result.profile, 'painting');
+        assert.deepStrictEqual(result.canonical_manifest.colorist, [{ type: ['Person'], name: [{ value: 'Josephine Hopper' }] }]);
+        assert.deepStrictEqual(result.canonical_manifest.artMedium, [{ value: 'Oil on canvas' }]);
+        assert.strictEqual(result.wpm.colorist[0].name[0].value, 'Josephine Hopper');
+        assert.strictEqual(result.wpm.artMedium[0].value, 'Oil on canvas');
+        assert.strictEqual(result.wpm.sameAs, 'https://collection.example.org/objects/111628');
+    }],
+    ['a scalar value of an extension entity or link term is reported, not thrown', async () => {
+        const result = await process_publication('https://example.org/sculpture.json', { mode: ProcessingMode.permissive, profile: sculpture_profile });
+        assert.strictEqual(result.error, undefined, result.error && result.error.message);
+        assert.deepStrictEqual(result.wpm.sculptor, []);
+        assert.deepStrictEqual(result.wpm.sketch, []);
+        assert.ok(codes(result.logger.errors).includes('missing-contributor-name'));
+        assert.ok(codes(result.logger.errors).includes('missing-link-url'));
+    }],
+
+    // ---------------------------------------------------- Batch
+    ['only the primary entry pages of a directory tree are collected', async () => {
+        const inputs = collect_inputs(__dirname).map((file_name) => path.relative(__dirname, file_name));
+        assert.ok(inputs.includes('entry_with_script_full.html'));
+        assert.ok(inputs.includes(path.join('unit_tests', 'wrong_bcp_1.html')));
+        assert.ok(!inputs.includes('nav.html'));
+    }],
+    ['the batch results are summarized', async () => {
+        const inputs = ['https://example.org/linked/', 'https://example.org/no-link/', 'https://example.org/standalone.json'];
+        const results = await run_batch(inputs, (input, loader) => process_publication(input, { loader }), new MemoryLoader(fixtures), 2);
+        assert.deepStrictEqual(results.map((result) => result.passed === true), [true, false, true]);
+        const summary = summarize(results);
+        assert.deepStrictEqual([summary.total, summary.passed, summary.failed], [3, 2, 1]);
+        assert.deepStrictEqual(summary.codes, { 'manifest-link-not-found': { errors: 1, warnings: 0 } });
+    }],
+
+    // ---------------------------------------------------- Watch mode
+    ['the new and the fixed issues are found by comparing the diagnostics of two runs', async () => {
+        const before = (await process_publication('https://example.org/invalid.json', { mode: ProcessingMode.permissive })).logger;
+        const fixed = variant({ type: ['Book', 42], name: 'Fixed', description: 42, inDirection: 'up' });
+        const loader = new MemoryLoader({ 'https://example.org/invalid.json': json(fixed) });
+        const after = (await process_publication('https://example.org/invalid.json', { mode: ProcessingMode.permissive, loader })).logger;
+        const { added, removed } = diff_diagnostics([...before.errors, ...before.warnings], [...after.errors, ...after.warnings]);
+        assert.deepStrictEqual(codes(added), []);
+        assert.deepStrictEqual(codes(removed).sort(), ['invalid-reading-progression', 'missing-string-value']);
+    }],
+    ['the local files of a publication are watched for changes', async () => {
+        const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'wpm-watch-'));
+        const file_name = path.join(directory, 'manifest.json');
+        fs.writeFileSync(file_name, manifest);
+        const file_url = url.pathToFileURL(file_name).href;
+        assert.deepStrictEqual(local_files([file_url, `${file_url}#part`, 'https://example.org/manifest.json']), [file_name]);
+
+        let watcher;
+        try {
+            const changed = await new Promise((resolve, reject) => {
+                watcher = new Watcher(resolve);
+                watcher.watch([file_name]);
+                setTimeout(() => fs.utimesSync(file_name, new Date(), new Date(Date.now() + 60000)), 100);
+                setTimeout(() => reject(new Error('no change has been detected')), 5000).unref();
+            });
+            assert.deepStrictEqual(changed, [file_name]);
+        } finally {
+            watcher.close();
+            fs.rmSync(directory, { recursive: true, force: true });
+        }
+    }],
+
+    // ---------------------------------------------------- Reports and command line
+    ['the diagnostics are reported in SARIF and in JUnit XML', async () => {
+        const { logger } = await process_publication('https://example.org/invalid.json', { mode: ProcessingMode.permissive });
+        const sarif = JSON.parse(report(logger, 'sarif', 'https://example.org/invalid.json'));
+        const rules = sarif.runs[0].results.map((result) => [result.ruleId, result.level]);
+        assert.deepStrictEqual(rules.slice(0, 2), [['schema-type', 'error'], ['missing-string-value', 'error']]);
+        assert.strictEqual(sarif.runs[0].results.length, logger.errors.length + logger.warnings.length);
+        const junit = report(logger, 'junit', 'https://example.org/invalid.json');
+        assert.ok(junit.includes(`tests="${logger.errors.length + logger.warnings.length}" failures="${logger.errors.length}"`));
+    }],
+    ['inspect with a machine readable report format prints the report only', async () => {
+        const { status, stdout } = run_cli(['inspect', '--report-format', 'json', path.join(__dirname, 'entry_with_script_full.html')]);
+        assert.strictEqual(status, 0);
+        const result = JSON.parse(stdout);
+        assert.strictEqual(result.source, fixture_url('entry_with_script_full.html'));
+        assert.deepStrictEqual([result.errors, result.warnings], [0, 0]);
+    }],
+    ['the input may be a manifest file, the text of a manifest, or the standard input', async () => {
+        const base = 'https://example.org/book/';
+        const from_file = JSON.parse(run_cli(['canonicalize', path.join(__dirname, 'mobydick-simple.json')]).stdout);
+        assert.strictEqual(from_file.name[0].value, 'Moby-Dick');
+        const from_text = JSON.parse(run_cli(['canonicalize', '--base', base, manifest]).stdout);
+        assert.deepStrictEqual(from_text.readingOrder.map((item) => item.url), ['https://example.org/book/chapter1.html']);
+        const from_stdin = JSON.parse(run_cli(['canonicalize', '--base', base, '-'], manifest).stdout);
+        assert.deepStrictEqual(from_stdin, from_text);
+    }],
+    ['the exit code of validate reflects the verdict in the processing mode', async () => {
+        const base = 'https://example.org/book/';
+        const accepted = run_cli(['validate', '--base', base, manifest]);
+        assert.strictEqual(accepted.status, 0);
+        assert.ok(accepted.stdout.includes('Errors: none'), accepted.stdout);
+        assert.strictEqual(run_cli(['validate', '--base', base, invalid_manifest]).status, 1);
+        assert.strictEqual(run_cli(['validate', '--base', base, '--mode', 'permissive', invalid_manifest]).status, 0);
+        assert.strictEqual(run_cli(['validate', '--mode', 'lenient', manifest]).status, 2);
+    }]
+];
+
+
+/**
+ * Run all the checks, and report the results in the TAP format.
+ *
+ * @async
+ * @return {number} the number of failed checks
+ */
+async function run_checks() {
+    console.log(`1..${checks.length}`);
+    let failures = 0;
+    for (let index = 0; index < checks.length; index += 1) {
+        const [name, check] = checks[index];
+        try {
+            // The checks are run one after the other, to keep the report in order
+            // eslint-disable-next-line no-await-in-loop
+            await check();
+            console.log(`ok ${index + 1} - ${name}`);
+        } catch (err) {
+            failures += 1;
+            console.log(`not ok ${index + 1} - ${name}`);
+            console.log(`    ${err.message.split('\n').join('\n    ')}`);
+        }
+    }
+    return failures;
+}
+
+run_checks().then((failures) => {
+    process.exitCode = failures === 0 ? 0 : 1;
+});
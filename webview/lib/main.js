@@ -54,8 +54,8 @@ function convert() {
                 lang          : '',
                 dir           : ''
             };
-            const manifest_object = get_canonical_manifest(logger, manifest_data);
-            canonical_wpm.value = JSON.stringify(manifest_object, null, 4);
+            const { canonical_manifest } = get_canonical_manifest(logger, manifest_data);
+            canonical_wpm.value = JSON.stringify(canonical_manifest, null, 4);
         }
     } catch (err) {
         console.error(`Error in canonicalization: ${err.message} in ${err.lineNumber}`);
@@ -114,8 +114,8 @@ async function get_pep(e) {
 
         wpm_holder.value = manifest_data.manifest_text;
 
-        const manifest_object = get_canonical_manifest(logger, manifest_data);
-        canonical_wpm.value = JSON.stringify(manifest_object, null, 4);
+        const { canonical_manifest } = get_canonical_manifest(logger, manifest_data);
+        canonical_wpm.value = JSON.stringify(canonical_manifest, null, 4);
 
         document.getElementById('wpm_url').value = '';
         document.getElementById('pep_url').value = '';